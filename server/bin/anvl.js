@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+const path = require('path');
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { mediaExtensions, safeStem } = require('../lib/files');
+const { iconExtensions } = require('../lib/icons');
+const { expandInputs, matchInput } = require('../lib/scan');
+const { createLimiter } = require('../lib/jobs');
+const { resolvePreset, withPreset } = require('../lib/presets');
+
+const usage = `Usage: anvl <command> <inputs...> --out <dir> [options]
+
+Inputs are files, directories (searched recursively) or quoted glob patterns
+such as "src/**/*.png". Outputs mirror the input folder structure.
+
+Commands:
+  images    AVIF/WebP (or JPEG, PNG, lossless WebP) outputs plus responsive widths
+  audio     MP3/Opus/AAC/Ogg outputs
+  icons     Favicon, touch and PWA icons plus site.webmanifest from a PNG/SVG logo
+
+Common options:
+  -o, --out <dir>          Output directory (required)
+  -w, --watch              Keep running and reprocess changed files
+      --preset <name>      Start from a saved preset
+      --concurrency <n>    Files processed at the same time (default 2)
+      --json               Print the results as JSON on stdout
+  -h, --help               Show this help
+
+Image options:
+      --widths <list>      Responsive widths, e.g. 640,1280
+      --breakpoints <name> mobile, standard or wide
+  -q, --quality <1-100>    Encoder quality (default 80)
+      --formats <list>     avif, webp, jpeg, png, webpLossless (default avif,webp)
+      --avif-effort <0-9>  AVIF encoder effort (default 4)
+      --avif-chroma <s>    4:4:4 or 4:2:0 (default 4:4:4)
+      --webp-effort <0-6>  WebP encoder effort (default 4)
+      --webp-near-lossless Near-lossless WebP, quality sets the preprocessing
+      --webp-alpha-quality <0-100> WebP alpha channel quality (default 100)
+      --jpeg-baseline      Baseline instead of progressive JPEG
+      --jpeg-chroma <s>    4:2:0 or 4:4:4 (default 4:2:0)
+      --png-colors <2-256> PNG palette size (default 256)
+      --png-dither <0-1>   PNG dithering (default 1)
+      --width <px>         Resize width
+      --height <px>        Resize height
+      --fit <mode>         cover, contain, inside, outside or fill
+      --density <dpi>      Rasterize SVG sources at this density (default 72)
+      --keep-metadata      Keep Copyright/Artist and the color profile
+      --metrics            Score outputs with SSIM, PSNR and DSSIM
+      --heatmap            Also save a difference heatmap per format
+      --target-ssim <n>    Lowest quality per format reaching this SSIM, e.g. 0.98
+      --placeholders <list> blurhash, thumbhash, color, svg (LQIP is always made)
+      --overlay <png>      Watermark image drawn on every output
+      --overlay-text <text> Watermark text instead of an image
+      --overlay-position <p> top-left, top-right, bottom-left, bottom-right,
+                           center or tiled (default bottom-right)
+      --overlay-margin <px> Distance from the edges at full size (default 24)
+      --overlay-opacity <n> 0 to 1 (default 0.5)
+      --overlay-scale <n>  Watermark width as a share of the output (default 0.2)
+      --overlay-clean-lqip Build the LQIP and placeholders without the watermark
+
+Audio options:
+      --formats <list>     mp3, opus, aac, ogg (default mp3)
+      --bitrate <rate>     e.g. 128k (default 192k)
+      --mono               Downmix to one channel
+      --speed <factor>     Playback speed, e.g. 1.25
+      --normalize          Two-pass loudness normalization
+      --target-lufs <n>    Normalization target (default -16)
+      --true-peak <n>      True-peak ceiling (default -1.5)
+      --trim-silence       Remove silence at both ends
+      --fade-in <s>        Fade-in length in seconds
+      --fade-out <s>       Fade-out length in seconds
+      --title, --artist, --album, --track, --year, --comment <text>
+                           Tags to write (source tags are kept otherwise)
+      --drop-source-tags   Don't carry over the source's own tags
+      --cover <image>      Cover art embedded in MP3 outputs
+
+Icon options:
+      --name <text>        App name for the manifest (default: file name)
+      --short-name <text>  Short name for the manifest
+      --theme-color <hex>  e.g. #ff6600 (default #ffffff)
+      --background-color <hex> Touch and maskable icon background (default #ffffff)
+      --base-path <path>   Where the icons are served from (default /)
+      --maskable-scale <n> Logo size inside maskable icons, 0.4-0.8 (default 0.6)`;
+
+const commonOptions = {
+    out: { type: 'string', short: 'o' },
+    watch: { type: 'boolean', short: 'w' },
+    preset: { type: 'string' },
+    concurrency: { type: 'string' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+function splitList(value) {
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+}
+
+// Drops the flags that were not given so they don't override a preset
+function definedOnly(options) {
+    const entries = Object.entries(options).filter(([, value]) => value !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+const commands = {
+    images: {
+        type: 'image',
+        options: {
+            widths: { type: 'string' },
+            breakpoints: { type: 'string' },
+            quality: { type: 'string', short: 'q' },
+            formats: { type: 'string' },
+            'avif-effort': { type: 'string' },
+            'avif-chroma': { type: 'string' },
+            'webp-effort': { type: 'string' },
+            'webp-near-lossless': { type: 'boolean' },
+            'webp-alpha-quality': { type: 'string' },
+            'jpeg-baseline': { type: 'boolean' },
+            'jpeg-chroma': { type: 'string' },
+            'png-colors': { type: 'string' },
+            'png-dither': { type: 'string' },
+            width: { type: 'string' },
+            height: { type: 'string' },
+            fit: { type: 'string' },
+            density: { type: 'string' },
+            'keep-metadata': { type: 'boolean' },
+            metrics: { type: 'boolean' },
+            heatmap: { type: 'boolean' },
+            'target-ssim': { type: 'string' },
+            placeholders: { type: 'string' },
+            overlay: { type: 'string' },
+            'overlay-text': { type: 'string' },
+            'overlay-position': { type: 'string' },
+            'overlay-margin': { type: 'string' },
+            'overlay-opacity': { type: 'string' },
+            'overlay-scale': { type: 'string' },
+            'overlay-clean-lqip': { type: 'boolean' }
+        },
+        createWorker(values, presetOptions) {
+            const { processImage } = require('../lib/images');
+            // Encoder flags override the preset's settings one by one
+            const presetEncoders = presetOptions.encoders || {};
+            const encoderFlags = {
+                avif: definedOnly({ effort: values['avif-effort'], chromaSubsampling: values['avif-chroma'] }),
+                webp: definedOnly({ effort: values['webp-effort'], nearLossless: values['webp-near-lossless'], alphaQuality: values['webp-alpha-quality'] }),
+                webpLossless: definedOnly({ effort: values['webp-effort'] }),
+                jpeg: definedOnly({ progressive: values['jpeg-baseline'] ? false : undefined, chromaSubsampling: values['jpeg-chroma'] }),
+                png: definedOnly({ colors: values['png-colors'], dither: values['png-dither'] })
+            };
+            const encoders = Object.values(encoderFlags).some(Boolean)
+                ? Object.fromEntries(Object.entries(encoderFlags).map(([format, flags]) => [format, { ...presetEncoders[format], ...flags }]))
+                : undefined;
+            const resizeOptions = withPreset(presetOptions, definedOnly({
+                quality: values.quality,
+                width: values.width,
+                height: values.height,
+                fit: values.fit,
+                density: values.density,
+                formats: splitList(values.formats),
+                encoders
+            }));
+            const widths = splitList(values.widths);
+            const responsive = widths ? { widths } : values.breakpoints ? { breakpoints: values.breakpoints } : {};
+            const metadata = { keep: values['keep-metadata'] ? 'copyright-icc' : 'none' };
+            const metrics = { enabled: values.metrics, heatmap: values.heatmap, targetSsim: values['target-ssim'] };
+
+            const placeholders = splitList(values.placeholders) || [];
+            const overlay = {
+                text: values['overlay-text'],
+                position: values['overlay-position'],
+                margin: values['overlay-margin'],
+                opacity: values['overlay-opacity'],
+                scale: values['overlay-scale'],
+                lqipFromSource: values['overlay-clean-lqip']
+            };
+            const overlayImage = values.overlay && path.resolve(values.overlay);
+
+            return (file, output) => processImage(file, { resizeOptions, responsive, metadata, metrics, placeholders, overlay, overlayImage, ...output });
+        },
+        outputs(result) {
+            const files = result.variants.map(variant => ({
+                url: variant.url,
+                size: variant.size,
+                note: variant.metrics && `SSIM ${variant.metrics.ssim}`
+            }));
+            if (result.resizedOriginal) files.push({ url: result.resizedOriginal, size: result.resizedOriginalSize });
+            return files;
+        }
+    },
+    audio: {
+        type: 'audio',
+        options: {
+            formats: { type: 'string' },
+            bitrate: { type: 'string' },
+            mono: { type: 'boolean' },
+            speed: { type: 'string' },
+            normalize: { type: 'boolean' },
+            'target-lufs': { type: 'string' },
+            'true-peak': { type: 'string' },
+            'trim-silence': { type: 'boolean' },
+            'fade-in': { type: 'string' },
+            'fade-out': { type: 'string' },
+            title: { type: 'string' },
+            artist: { type: 'string' },
+            album: { type: 'string' },
+            track: { type: 'string' },
+            year: { type: 'string' },
+            comment: { type: 'string' },
+            'drop-source-tags': { type: 'boolean' },
+            cover: { type: 'string' }
+        },
+        createWorker(values, presetOptions) {
+            const { processAudio } = require('../lib/audio');
+            const options = withPreset(presetOptions, definedOnly({
+                formats: splitList(values.formats),
+                bitrate: values.bitrate,
+                channels: values.mono ? 'mono' : undefined,
+                speed: values.speed ? Number(values.speed) : undefined,
+                normalize: values.normalize,
+                targetLufs: values['target-lufs'],
+                truePeak: values['true-peak'],
+                trimSilence: values['trim-silence'],
+                fadeIn: values['fade-in'],
+                fadeOut: values['fade-out'],
+                tags: definedOnly({
+                    title: values.title,
+                    artist: values.artist,
+                    album: values.album,
+                    track: values.track,
+                    year: values.year,
+                    comment: values.comment
+                }) || undefined,
+                keepSourceTags: values['drop-source-tags'] ? false : undefined
+            })) || {};
+            const cover = values.cover && path.resolve(values.cover);
+
+            return (file, output) => processAudio(file, options, { ...output, cover });
+        },
+        outputs(result) {
+            return result.formats.map(format => ({ url: result[format], size: result[`${format}Size`] }));
+        }
+    },
+    icons: {
+        type: 'icon',
+        extensions: iconExtensions,
+        options: {
+            name: { type: 'string' },
+            'short-name': { type: 'string' },
+            'theme-color': { type: 'string' },
+            'background-color': { type: 'string' },
+            'base-path': { type: 'string' },
+            'maskable-scale': { type: 'string' }
+        },
+        createWorker(values) {
+            const { processIcons } = require('../lib/icons');
+            const options = {
+                name: values.name,
+                shortName: values['short-name'],
+                themeColor: values['theme-color'],
+                backgroundColor: values['background-color'],
+                basePath: values['base-path'],
+                maskableScale: values['maskable-scale']
+            };
+
+            return (file, output) => processIcons(file, options, output);
+        },
+        outputs(result) {
+            return [{ url: result.zip, size: result.zipSize, note: `${result.files.length} files` }];
+        }
+    }
+};
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+// Keeps one stem per source file, suffixing clashes inside the same output folder
+function createStemAllocator() {
+    const stems = new Map();
+    const taken = new Map();
+
+    return (filePath, outputDir) => {
+        if (stems.has(filePath)) return stems.get(filePath);
+
+        if (!taken.has(outputDir)) taken.set(outputDir, new Set());
+        const used = taken.get(outputDir);
+        const stem = safeStem(path.basename(filePath));
+        let candidate = stem;
+        for (let suffix = 2; used.has(candidate.toLowerCase()); suffix += 1) {
+            candidate = `${stem}-${suffix}`;
+        }
+        used.add(candidate.toLowerCase());
+        stems.set(filePath, candidate);
+        return candidate;
+    };
+}
+
+// Reports a change once the file has been quiet for a moment
+function watchInputs(sources, onChange) {
+    const timers = new Map();
+    const roots = [...new Set(sources.map(source => source.root))];
+
+    roots.forEach(root => {
+        fs.watch(root, { recursive: true }, (event, filename) => {
+            if (!filename) return;
+            const filePath = path.join(root, filename.toString());
+            clearTimeout(timers.get(filePath));
+            timers.set(filePath, setTimeout(() => {
+                timers.delete(filePath);
+                onChange(filePath);
+            }, 300));
+        });
+    });
+}
+
+/**
+ * Runs one command. Resolves to the exit code, or null in watch mode
+ * (the process then stays alive until interrupted).
+ */
+async function main(argv) {
+    const [name, ...args] = argv;
+    const command = commands[name];
+    if (!command) {
+        console.log(usage);
+        return name && name !== '--help' && name !== '-h' ? 2 : 0;
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: { ...commonOptions, ...command.options }, allowPositionals: true });
+    } catch (error) {
+        console.error(`anvl: ${error.message}\n\n${usage}`);
+        return 2;
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(usage);
+        return 0;
+    }
+    if (positionals.length === 0 || !values.out) {
+        console.error(`anvl: ${positionals.length === 0 ? 'no inputs given' : '--out is required'}\n\n${usage}`);
+        return 2;
+    }
+
+    const preset = resolvePreset(values.preset, command.type);
+    if (!preset.ok) {
+        console.error(`anvl: ${preset.error}`);
+        return 2;
+    }
+
+    const log = values.json ? console.error : console.log;
+    const outDir = path.resolve(values.out);
+    const scanOptions = { extensions: command.extensions || mediaExtensions[command.type], exclude: [outDir] };
+    const { sources, files } = await expandInputs(positionals, scanOptions);
+
+    if (files.length === 0 && !values.watch) {
+        console.error('anvl: no matching files');
+        return 1;
+    }
+
+    const worker = command.createWorker(values, preset.options);
+    const limit = createLimiter(values.concurrency || 2);
+    const allocateStem = createStemAllocator();
+
+    const processFile = (match) => limit(async () => {
+        const outputDir = path.join(outDir, path.dirname(match.relative));
+        const started = Date.now();
+        try {
+            await fs.promises.mkdir(outputDir, { recursive: true });
+            const stat = await fs.promises.stat(match.path);
+            const file = { path: match.path, originalname: path.basename(match.path), size: stat.size };
+            const result = await worker(file, {
+                outputDir,
+                publicPath: path.relative(process.cwd(), outputDir).split(path.sep).join('/') || '.',
+                stem: allocateStem(match.path, outputDir)
+            });
+
+            const outputs = command.outputs(result)
+                .map(output => `${path.posix.basename(output.url)} ${formatBytes(output.size)}${output.note ? ` (${output.note})` : ''}`)
+                .join(', ');
+            log(`✔ ${match.relative} (${formatBytes(stat.size)}) → ${outputs} [${Date.now() - started} ms]`);
+            return { file: match.relative, status: 'done', result };
+        } catch (error) {
+            console.error(`✖ ${match.relative}: ${error.message}`);
+            return { file: match.relative, status: 'error', error: error.message };
+        }
+    });
+
+    const outcomes = await Promise.all(files.map(processFile));
+    const failed = outcomes.filter(outcome => outcome.status === 'error').length;
+    log(`${outcomes.length - failed} processed, ${failed} failed`);
+    if (values.json) console.log(JSON.stringify(outcomes, null, 2));
+
+    if (!values.watch) return failed > 0 ? 1 : 0;
+
+    // A file saved again while it is being processed runs once more afterwards
+    const running = new Set();
+    const pending = new Set();
+    const reprocess = async (match) => {
+        if (running.has(match.path)) {
+            pending.add(match.path);
+            return;
+        }
+        running.add(match.path);
+        const outcome = await processFile(match);
+        if (values.json) console.log(JSON.stringify(outcome));
+        running.delete(match.path);
+        if (pending.delete(match.path)) reprocess(match);
+    };
+
+    watchInputs(sources, async (filePath) => {
+        const match = matchInput(sources, filePath, scanOptions);
+        if (!match) return;
+        const stat = await fs.promises.stat(match.path).catch(() => null);
+        if (stat && stat.isFile()) reprocess(match);
+    });
+    log(`Watching ${sources.map(source => path.relative(process.cwd(), source.root) || '.').join(', ')} for changes (Ctrl+C to stop)`);
+    return null;
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        if (code !== null) process.exitCode = code;
+    })
+    .catch(error => {
+        console.error(`anvl: ${error.message}`);
+        process.exitCode = 1;
+    });
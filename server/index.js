@@ -3,6 +3,7 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const router = require('./routes');
+const { processedRoot, startOutputCollector } = require('./lib/sessions');
 
 const app = express();
 const PORT = Number(process.env.PORT || 4000);
@@ -15,14 +16,19 @@ app.get('/health', (_req, res) => {
     res.json({ ok: true, app: 'anvl' });
 });
 
-// Serve static files from the 'processed' directory so the frontend can access them
-app.use('/processed', express.static(path.join(__dirname, 'processed')));
+// Serve static files from the 'processed' directory so the frontend can access them.
+// Opened on their own (e.g. an SVG), they run no script and load nothing
+app.use('/processed', express.static(processedRoot, {
+    setHeaders: (res) => {
+        res.setHeader('Content-Security-Policy', "default-src 'none'; img-src data:; style-src 'unsafe-inline'; sandbox");
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+    }
+}));
 
 app.use('/api', router);
 
 // Ensure upload and processed directories exist
 const uploadDir = path.join(__dirname, 'uploads');
-const processedDir = path.join(__dirname, 'processed');
 
 // Helper to empty a directory
 const emptyDirectory = (dir) => {
@@ -39,18 +45,16 @@ const emptyDirectory = (dir) => {
     }
 };
 
-// Ensure directories exist and are empty on startup
+// Ensure the upload directory exists and is empty on startup
 if (fs.existsSync(uploadDir)) {
     emptyDirectory(uploadDir);
 } else {
     fs.mkdirSync(uploadDir);
 }
 
-if (fs.existsSync(processedDir)) {
-    emptyDirectory(processedDir);
-} else {
-    fs.mkdirSync(processedDir);
-}
+// Processed outputs survive restarts until their TTL runs out
+fs.mkdirSync(processedRoot, { recursive: true });
+startOutputCollector();
 
 app.listen(PORT, HOST, () => {
     console.log(`Server running on http://${HOST}:${PORT}`);
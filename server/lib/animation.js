@@ -0,0 +1,89 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+const { ffmpeg, runCommand } = require('./ffmpeg');
+
+// Loaders whose multi-page images are animations (a multi-page TIFF is a stack of documents)
+const animatedSourceFormats = ['gif', 'webp'];
+// Browsers stretch shorter GIF delays to 100ms
+const minFrameDelay = 20;
+
+/**
+ * Reads the frames of an animated GIF or WebP from its sharp metadata.
+ * Returns `{ frames, delay, loop }` (`delay` in ms per frame, `loop` 0 for
+ * forever), or null for a still image.
+ */
+function readAnimation(metadata) {
+    if (!animatedSourceFormats.includes(metadata.format) || !(metadata.pages > 1)) return null;
+    const delay = Array.from({ length: metadata.pages }, (_, index) => {
+        const frameDelay = Array.isArray(metadata.delay) ? metadata.delay[index] : null;
+        return frameDelay >= minFrameDelay ? frameDelay : 100;
+    });
+    return { frames: metadata.pages, delay, loop: Number.isInteger(metadata.loop) ? metadata.loop : 0 };
+}
+
+// AVIF quality 0-100 onto libaom's CRF (63 is the worst), and sharp's effort 0-9 onto cpu-used 8-0
+function aomOptions(quality, { effort, chromaSubsampling }) {
+    const crf = Math.round(63 * (1 - Math.min(100, Math.max(0, quality)) / 100));
+    return {
+        crf,
+        cpuUsed: Math.max(0, Math.min(8, 9 - effort)),
+        pixelFormat: chromaSubsampling === '4:2:0' ? 'yuv420p' : 'yuv444p'
+    };
+}
+
+/**
+ * Encodes an animated sharp pipeline to an animated AVIF at `outputPath`.
+ * Sharp only writes still AVIFs, so the frames go through ffmpeg (libaom)
+ * as PNGs with their own delays; an alpha channel becomes the AVIF alpha
+ * plane. `settings` are the resolved AVIF encoder settings. Resolves to
+ * `{ width, height, size }` with the size of one frame.
+ */
+async function encodeAnimatedAvif(image, outputPath, { quality, settings, animation, signal }) {
+    const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+    const frameHeight = info.pageHeight || info.height;
+    const frameBytes = info.width * frameHeight * info.channels;
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'anvl-frames-'));
+
+    try {
+        const lines = ['ffconcat version 1.0'];
+        for (let index = 0; index * frameBytes < data.length; index += 1) {
+            if (signal && signal.aborted) throw new Error('Cancelled');
+            const frameName = `frame-${String(index).padStart(5, '0')}.png`;
+            await sharp(data.subarray(index * frameBytes, (index + 1) * frameBytes), {
+                raw: { width: info.width, height: frameHeight, channels: info.channels }
+            }).png({ compressionLevel: 0 }).toFile(path.join(tempDir, frameName));
+            lines.push(`file '${frameName}'`, `duration ${(animation.delay[index] || 100) / 1000}`);
+        }
+        // The concat demuxer drops the last duration unless the last frame is listed again
+        lines.push(lines[lines.length - 2]);
+        const listPath = path.join(tempDir, 'frames.txt');
+        await fs.promises.writeFile(listPath, `${lines.join('\n')}\n`);
+
+        const { crf, cpuUsed, pixelFormat } = aomOptions(quality, settings);
+        const command = ffmpeg(listPath)
+            .inputOptions(['-f concat', '-safe 0'])
+            .videoCodec('libaom-av1')
+            .outputOptions([`-crf ${crf}`, '-b:v 0', `-cpu-used ${cpuUsed}`, '-row-mt 1', '-fps_mode vfr', `-loop ${animation.loop}`]);
+
+        if (info.channels === 4) {
+            command
+                .complexFilter(`[0:v]format=rgba,split[color][alpha];[color]format=${pixelFormat}[color];[alpha]alphaextract[alpha]`)
+                .outputOptions(['-map [color]', '-map [alpha]']);
+        } else {
+            command.outputOptions(`-pix_fmt ${pixelFormat}`);
+        }
+
+        await runCommand(command.output(outputPath), { signal });
+        const { size } = await fs.promises.stat(outputPath);
+        return { width: info.width, height: frameHeight, size };
+    } finally {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    readAnimation,
+    encodeAnimatedAvif
+};
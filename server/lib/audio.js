@@ -0,0 +1,238 @@
+const path = require('path');
+const fs = require('fs');
+const { ffmpeg, runCommand } = require('./ffmpeg');
+const { outputStem } = require('./files');
+const { createAudioPreviews } = require('./waveform');
+const { readSourceTags, resolveTags, metadataArgs, prepareCover } = require('./tags');
+
+// Output formats offered by `audioConfigs[name].formats`; the key is also the result field
+const outputFormats = {
+    mp3: { ext: 'mp3', container: 'mp3', codec: 'libmp3lame' },
+    opus: { ext: 'webm', container: 'webm', codec: 'libopus' },
+    aac: { ext: 'm4a', container: 'ipod', codec: 'aac', options: ['-movflags +faststart'] },
+    ogg: { ext: 'ogg', container: 'ogg', codec: 'libvorbis' }
+};
+
+function resolveFormats(options) {
+    const requested = Array.isArray(options.formats) ? options.formats : [options.format || 'mp3'];
+    const formats = requested.filter(format => outputFormats[format]);
+    return formats.length > 0 ? [...new Set(formats)] : ['mp3'];
+}
+
+const defaultTargetLufs = -16;
+const defaultTruePeak = -1.5;
+const defaultSilenceThreshold = -50;
+
+function parseNumber(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== null && value !== '' && Number.isFinite(number) ? number : fallback;
+}
+
+// Pulls the JSON summary that `loudnorm=print_format=json` writes to stderr
+function parseLoudnorm(stderr) {
+    const matches = String(stderr).match(/\{[^{}]*"input_i"[^{}]*\}/g);
+    if (!matches) return null;
+    try {
+        return JSON.parse(matches[matches.length - 1]);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Reads the last `time=` progress stamp, i.e. the length of what was rendered
+function parseRenderedSeconds(stderr) {
+    const matches = [...String(stderr).matchAll(/time=\s*(\d+):(\d+):(\d+(?:\.\d+)?)/g)];
+    if (matches.length === 0) return null;
+    const [, hours, minutes, seconds] = matches[matches.length - 1];
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+function loudnessStats(stats, prefix) {
+    return {
+        integrated: Number(stats[`${prefix}_i`]),
+        truePeak: Number(stats[`${prefix}_tp`]),
+        range: Number(stats[`${prefix}_lra`])
+    };
+}
+
+// Silence removal at both ends: trim the start, flip, trim the (former) end, flip back
+function silenceFilters(threshold) {
+    const trim = `silenceremove=start_periods=1:start_duration=0.05:start_threshold=${threshold}dB:start_silence=0.05`;
+    return [trim, 'areverse', trim, 'areverse'];
+}
+
+// Keeps the first audio stream and adds `coverMap` as the ID3 front cover
+function coverArgs(coverMap) {
+    return [
+        '-map', '0:a:0',
+        '-map', coverMap,
+        '-c:v', 'copy',
+        '-metadata:s:v', 'title=Album cover',
+        '-metadata:s:v', 'comment=Cover (front)'
+    ];
+}
+
+/**
+ * Converts one uploaded audio file to each requested format (MP3 by default)
+ * inside `outputDir`. Every output is reported as `<format>` + `<format>Size`.
+ *
+ * `normalize` runs a two-pass EBU R128 `loudnorm` towards `targetLufs` /
+ * `truePeak` and reports `loudness.before` / `loudness.after`. The analysis
+ * pass also measures the trimmed length, which `fadeOut` needs.
+ *
+ * `tags` (title, artist, album, track, year, comment) are written over the
+ * source's own tags, which are kept unless `keepSourceTags` is false. The
+ * `cover` image, or else the source's embedded picture, goes into the MP3
+ * as ID3v2.3 front cover art. `result.tags` lists what was written.
+ *
+ * Unless `previews` is false, the source and the first output also get
+ * waveform peaks and a spectrogram (`waveform`, `spectrogram`, `levels`).
+ */
+async function processAudio(file, options, { outputDir, publicPath, stem, cover, signal, onProgress }) {
+    const filename = stem || outputStem(file.originalname);
+    const formats = resolveFormats(options);
+
+    const bitrate = options.bitrate || '192k';
+    const channels = options.channels === 'mono' ? 1 : 2;
+    const speed = options.speed || 1.0;
+    const normalize = Boolean(options.normalize);
+    const targetLufs = Math.min(-5, Math.max(-70, parseNumber(options.targetLufs, defaultTargetLufs)));
+    const truePeak = Math.min(0, Math.max(-9, parseNumber(options.truePeak, defaultTruePeak)));
+    const fadeIn = Math.max(0, parseNumber(options.fadeIn, 0));
+    const fadeOut = Math.max(0, parseNumber(options.fadeOut, 0));
+
+    // Filters that change what is heard before loudness is measured
+    const preFilters = [];
+    if (options.trimSilence) {
+        preFilters.push(...silenceFilters(parseNumber(options.silenceThreshold, defaultSilenceThreshold)));
+    }
+    // Apply speed filter (atempo)
+    if (speed !== 1.0) {
+        preFilters.push(`atempo=${speed}`);
+    }
+
+    const result = {
+        originalName: file.originalname,
+        originalSize: file.size,
+        formats
+    };
+
+    const needsAnalysis = normalize || fadeOut > 0;
+    const previews = options.previews !== false;
+    const totalSteps = formats.length + (needsAnalysis ? 1 : 0) + (previews ? 1 : 0);
+    const stepProgress = (step) => onProgress && ((percent) => onProgress(((step + percent / 100) / totalSteps) * 100));
+
+    // First pass: measure loudness and rendered duration without writing anything
+    let measured = null;
+    let duration = null;
+    if (needsAnalysis) {
+        const analysis = ffmpeg(file.path)
+            .noVideo()
+            .audioFilters([...preFilters, `loudnorm=I=${targetLufs}:TP=${truePeak}:LRA=11:print_format=json`])
+            .format('null')
+            .output('-');
+
+        const stderr = await runCommand(analysis, { signal, onProgress: stepProgress(0) });
+        measured = parseLoudnorm(stderr);
+        duration = parseRenderedSeconds(stderr);
+        if (duration !== null) result.duration = duration;
+    }
+
+    const filters = [...preFilters];
+    if (normalize) {
+        result.loudness = { target: { integrated: targetLufs, truePeak } };
+
+        // Digital silence measures as -inf, which loudnorm cannot correct from
+        if (measured && Number.isFinite(Number(measured.input_i))) {
+            result.loudness.before = loudnessStats(measured, 'input');
+            filters.push(
+                `loudnorm=I=${targetLufs}:TP=${truePeak}:LRA=11`
+                + `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}`
+                + `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}`
+                + `:offset=${measured.target_offset}:linear=true:print_format=json`,
+                // loudnorm works at 192 kHz internally
+                'aresample=48000'
+            );
+        } else {
+            result.loudness.note = 'Loudness could not be measured (silent input), normalization skipped';
+        }
+    }
+
+    // Fades come after loudnorm, whose measured values are for the unfaded signal
+    if (fadeIn > 0) {
+        filters.push(`afade=t=in:st=0:d=${fadeIn}`);
+    }
+    if (fadeOut > 0 && duration !== null) {
+        filters.push(`afade=t=out:st=${Math.max(0, duration - fadeOut).toFixed(3)}:d=${fadeOut}`);
+    }
+
+    const keepSourceTags = options.keepSourceTags !== false;
+    const source = keepSourceTags ? await readSourceTags(file.path, signal) : { tags: {}, coverStream: null };
+    result.tags = resolveTags(source.tags, options.tags, keepSourceTags);
+
+    let coverPath = null;
+    if (cover) {
+        const coverFilename = `${filename}-cover.jpg`;
+        coverPath = path.join(outputDir, coverFilename);
+        const info = await prepareCover(cover, coverPath);
+        result.coverArt = { from: 'upload', url: `${publicPath}/${coverFilename}`, width: info.width, height: info.height, size: info.size };
+    } else if (source.coverStream !== null && formats.includes('mp3')) {
+        result.coverArt = { from: 'source' };
+    }
+
+    for (const [index, format] of formats.entries()) {
+        const output = outputFormats[format];
+        const outputFilename = `${filename}.${output.ext}`;
+        const outputPath = path.join(outputDir, outputFilename);
+
+        let command = ffmpeg(file.path);
+        if (format === 'mp3' && coverPath) {
+            command = command.input(coverPath).outputOptions(...coverArgs('1:0'));
+        } else if (format === 'mp3' && result.coverArt) {
+            command = command.outputOptions(...coverArgs(`0:${source.coverStream}`));
+        } else {
+            command = command.noVideo();
+        }
+
+        command = command
+            .audioCodec(output.codec)
+            .audioBitrate(bitrate)
+            .audioChannels(channels)
+            .outputOptions(...metadataArgs(result.tags));
+
+        if (format === 'mp3') command = command.outputOptions('-id3v2_version', '3');
+        if (filters.length > 0) command = command.audioFilters(filters);
+        if (output.options) command = command.outputOptions(output.options);
+
+        command = command
+            .toFormat(output.container)
+            .output(outputPath);
+
+        const stderr = await runCommand(command, {
+            signal,
+            onProgress: stepProgress(index + (needsAnalysis ? 1 : 0))
+        });
+
+        // The second loudnorm pass reports what it actually produced
+        if (result.loudness && result.loudness.before && !result.loudness.after) {
+            const produced = parseLoudnorm(stderr);
+            if (produced) result.loudness.after = loudnessStats(produced, 'output');
+        }
+
+        result[format] = `${publicPath}/${outputFilename}`;
+        result[`${format}Size`] = fs.statSync(outputPath).size;
+    }
+
+    if (previews) {
+        const firstOutput = path.join(outputDir, `${filename}.${outputFormats[formats[0]].ext}`);
+        Object.assign(result, await createAudioPreviews(file.path, firstOutput, { outputDir, publicPath, stem: filename, signal }));
+        if (onProgress) onProgress(100);
+    }
+
+    return result;
+}
+
+module.exports = {
+    outputFormats,
+    processAudio
+};
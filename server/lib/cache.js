@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+// Encoded outputs keyed by input bytes + options, shared by every session
+const cacheDir = process.env.ANVL_CACHE_DIR || path.join(__dirname, '..', 'data', 'cache');
+// 0 turns the cache off
+const cacheMaxBytes = Number(process.env.ANVL_CACHE_MAX_MB || 1024) * 1024 * 1024;
+// Bump when a pipeline change makes old outputs stale
+const cacheVersion = 2;
+const outputToken = '{{output}}';
+
+let index = null;
+let totalBytes = 0;
+
+// JSON with sorted keys, so option order never changes the key
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+const fileHashes = new WeakMap();
+
+async function cacheKey(type, file, options) {
+    if (!fileHashes.has(file)) fileHashes.set(file, hashFile(file.path));
+    const contentHash = await fileHashes.get(file);
+    return crypto.createHash('sha256')
+        .update(stableStringify({
+            version: cacheVersion,
+            type,
+            content: contentHash,
+            // The resized original keeps the source container
+            ext: path.extname(file.originalname).toLowerCase(),
+            options: options || {}
+        }))
+        .digest('hex');
+}
+
+// Least recently used first, rebuilt from disk on first use
+async function loadIndex() {
+    if (index) return index;
+
+    const entries = [];
+    const names = await fs.promises.readdir(cacheDir).catch(() => []);
+    for (const name of names) {
+        if (name.endsWith('.tmp')) continue;
+        const entryDir = path.join(cacheDir, name);
+        try {
+            const entry = JSON.parse(await fs.promises.readFile(path.join(entryDir, 'entry.json'), 'utf8'));
+            const stat = await fs.promises.stat(path.join(entryDir, 'entry.json'));
+            entries.push({ key: name, size: entry.size, lastUsed: stat.mtimeMs, pins: 0 });
+        } catch (error) {
+            // Half-written or foreign entries are dropped
+            await fs.promises.rm(entryDir, { recursive: true, force: true });
+        }
+    }
+
+    if (index) return index;
+    index = new Map();
+    totalBytes = 0;
+    entries.sort((a, b) => a.lastUsed - b.lastUsed).forEach(entry => {
+        index.set(entry.key, entry);
+        totalBytes += entry.size;
+    });
+    return index;
+}
+
+function touch(key, entry) {
+    index.delete(key);
+    index.set(key, entry);
+    const now = new Date();
+    fs.promises.utimes(path.join(cacheDir, key, 'entry.json'), now, now).catch(() => {});
+}
+
+async function evict(key) {
+    const entry = index.get(key);
+    if (!entry) return;
+    index.delete(key);
+    totalBytes -= entry.size;
+    // An entry still being copied out is removed by its last reader
+    if (entry.pins > 0) {
+        entry.evicted = true;
+        return;
+    }
+    await fs.promises.rm(path.join(cacheDir, key), { recursive: true, force: true });
+}
+
+async function enforceLimit() {
+    for (const key of index.keys()) {
+        if (totalBytes <= cacheMaxBytes) break;
+        await evict(key);
+    }
+}
+
+// Every output URL of a result starts with `<publicPath>/<stem>`
+function collectOutputs(value, prefix, found = new Set()) {
+    if (typeof value === 'string') {
+        if (value.startsWith(prefix)) found.add(value.slice(prefix.length));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(child => collectOutputs(child, prefix, found));
+    }
+    return found;
+}
+
+/**
+ * Copies a cached result into `outputDir` under `stem`. Resolves to the
+ * result marked `cached: true`, or null on a miss. The entry is pinned while
+ * it is copied, so a concurrent eviction never removes it halfway.
+ */
+async function lookupCached(type, file, options, { outputDir, publicPath, stem }) {
+    if (cacheMaxBytes <= 0) return null;
+
+    const key = await cacheKey(type, file, options);
+    await loadIndex();
+    const entry = index.get(key);
+    if (!entry) return null;
+
+    entry.pins += 1;
+    touch(key, entry);
+    const entryDir = path.join(cacheDir, key);
+    try {
+        const stored = JSON.parse(await fs.promises.readFile(path.join(entryDir, 'entry.json'), 'utf8'));
+        for (const suffix of stored.outputs) {
+            await fs.promises.copyFile(path.join(entryDir, `output${suffix}`), path.join(outputDir, `${stem}${suffix}`));
+        }
+
+        const result = JSON.parse(stored.result.split(outputToken).join(`${publicPath}/${stem}`));
+        return { ...result, originalName: file.originalname, cached: true };
+    } catch (error) {
+        console.error(`Cache entry ${key} is unusable:`, error);
+        if (index.get(key) === entry) await evict(key);
+        return null;
+    } finally {
+        entry.pins -= 1;
+        if (entry.pins === 0 && entry.evicted) {
+            await fs.promises.rm(entryDir, { recursive: true, force: true });
+        }
+    }
+}
+
+/**
+ * Saves a fresh result and its output files, then evicts the least recently
+ * used entries past the size cap. Resolves to the result marked `cached: false`.
+ */
+async function storeCached(type, file, options, { outputDir, publicPath, stem }, result) {
+    if (cacheMaxBytes <= 0) return { ...result, cached: false };
+
+    try {
+        const key = await cacheKey(type, file, options);
+        await loadIndex();
+        if (!index.has(key)) {
+            const prefix = `${publicPath}/${stem}`;
+            const outputs = [...collectOutputs(result, prefix)];
+            const tempDir = path.join(cacheDir, `${key}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+            await fs.promises.mkdir(tempDir, { recursive: true });
+
+            let size = 0;
+            for (const suffix of outputs) {
+                const target = path.join(tempDir, `output${suffix}`);
+                await fs.promises.copyFile(path.join(outputDir, `${stem}${suffix}`), target);
+                size += (await fs.promises.stat(target)).size;
+            }
+            await fs.promises.writeFile(path.join(tempDir, 'entry.json'), JSON.stringify({
+                outputs,
+                size,
+                result: JSON.stringify(result).split(prefix).join(outputToken)
+            }));
+
+            // Another request may have stored the same input meanwhile
+            try {
+                await fs.promises.rename(tempDir, path.join(cacheDir, key));
+                index.set(key, { key, size, lastUsed: Date.now(), pins: 0 });
+                totalBytes += size;
+                await enforceLimit();
+            } catch (error) {
+                await fs.promises.rm(tempDir, { recursive: true, force: true });
+            }
+        }
+    } catch (error) {
+        console.error('Could not cache result:', error);
+    }
+
+    return { ...result, cached: false };
+}
+
+module.exports = {
+    cacheDir,
+    stableStringify,
+    hashFile,
+    lookupCached,
+    storeCached
+};
@@ -0,0 +1,137 @@
+// Output formats an image can be encoded to, in the order they are written.
+// `animated` formats keep the frames of an animated source; the others get its first frame.
+const imageFormats = {
+    avif: { ext: 'avif', tag: '', animated: true },
+    webp: { ext: 'webp', tag: '', animated: true },
+    jpeg: { ext: 'jpg', tag: '' },
+    png: { ext: 'png', tag: '' },
+    // Lossless has no quality knob, so budgets and the SSIM search skip it
+    webpLossless: { ext: 'webp', tag: '-lossless', lossless: true, animated: true }
+};
+const defaultImageFormats = ['avif', 'webp'];
+const chromaSubsamplings = ['4:2:0', '4:4:4'];
+
+function clampInt(value, min, max, fallback) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+function clampNumber(value, min, max, fallback) {
+    const number = Number(value);
+    if (value === undefined || value === null || value === '' || !Number.isFinite(number)) return fallback;
+    return Math.min(max, Math.max(min, number));
+}
+
+function pick(value, allowed, fallback) {
+    return allowed.includes(value) ? value : fallback;
+}
+
+/**
+ * Normalizes the advanced settings of every format, defaulting to what
+ * sharp and mozjpeg do on their own:
+ * - `avif`: `effort` (0-9), `chromaSubsampling` (`4:4:4` or `4:2:0`)
+ * - `webp`: `effort` (0-6), `alphaQuality` (0-100), `nearLossless`
+ * - `webpLossless`: `effort` (0-6)
+ * - `jpeg`: `progressive`, `chromaSubsampling`
+ * - `png`: `colors` (2-256 palette entries), `dither` (0-1)
+ */
+function resolveEncoderSettings(encoders = {}) {
+    const avif = encoders.avif || {};
+    const webp = encoders.webp || {};
+    const webpLossless = encoders.webpLossless || {};
+    const jpeg = encoders.jpeg || {};
+    const png = encoders.png || {};
+
+    return {
+        avif: {
+            effort: clampInt(avif.effort, 0, 9, 4),
+            chromaSubsampling: pick(avif.chromaSubsampling, chromaSubsamplings, '4:4:4')
+        },
+        webp: {
+            effort: clampInt(webp.effort, 0, 6, 4),
+            alphaQuality: clampInt(webp.alphaQuality, 0, 100, 100),
+            nearLossless: Boolean(webp.nearLossless)
+        },
+        webpLossless: {
+            effort: clampInt(webpLossless.effort, 0, 6, 4)
+        },
+        jpeg: {
+            progressive: jpeg.progressive !== false,
+            chromaSubsampling: pick(jpeg.chromaSubsampling, chromaSubsamplings, '4:2:0')
+        },
+        png: {
+            colors: clampInt(png.colors, 2, 256, 256),
+            dither: clampNumber(png.dither, 0, 1, 1)
+        }
+    };
+}
+
+/**
+ * Works out the formats and encoder settings of one image. Per-file
+ * `resizeOptions.formats` replaces the batch-wide `formats`; per-file
+ * `resizeOptions.encoders` overrides the batch-wide `encoders` setting by
+ * setting. Unknown formats are dropped; nothing valid means AVIF + WebP.
+ */
+function resolveEncoding({ formats, encoders } = {}, resizeOptions) {
+    const fileOptions = resizeOptions || {};
+    const requested = Array.isArray(fileOptions.formats) ? fileOptions.formats : formats;
+    const valid = Array.isArray(requested)
+        ? Object.keys(imageFormats).filter(format => requested.includes(format))
+        : [];
+
+    const batchEncoders = encoders || {};
+    const fileEncoders = fileOptions.encoders || {};
+    const merged = {};
+    Object.keys(imageFormats).forEach(format => {
+        merged[format] = { ...(batchEncoders[format] || {}), ...(fileEncoders[format] || {}) };
+    });
+
+    return {
+        formats: valid.length > 0 ? valid : defaultImageFormats,
+        settings: resolveEncoderSettings(merged)
+    };
+}
+
+const encoders = {
+    avif: (image, quality, settings) => image.avif({ quality, ...settings }),
+    webp: (image, quality, settings) => image.webp({ quality, ...settings }),
+    webpLossless: (image, quality, settings) => image.webp({ lossless: true, ...settings }),
+    // mozjpeg's defaults, spelled out so progressive can be turned off
+    jpeg: (image, quality, { progressive, chromaSubsampling }) => image
+        .flatten({ background: '#ffffff' })
+        .jpeg({
+            quality,
+            progressive,
+            chromaSubsampling,
+            trellisQuantisation: true,
+            overshootDeringing: true,
+            optimiseScans: progressive,
+            quantisationTable: 3
+        }),
+    png: (image, quality, settings) => image.png({
+        compressionLevel: 9,
+        adaptiveFiltering: true,
+        palette: true,
+        quality,
+        ...settings
+    })
+};
+
+// Adds the encoder of `format` to a sharp pipeline; `settings` come from resolveEncoderSettings
+function applyEncoder(image, format, quality, settings) {
+    return encoders[format](image, quality, settings[format]);
+}
+
+function outputFilename(stem, format, suffix = '') {
+    const { ext, tag } = imageFormats[format];
+    return `${stem}${suffix}${tag}.${ext}`;
+}
+
+module.exports = {
+    imageFormats,
+    defaultImageFormats,
+    resolveEncoderSettings,
+    resolveEncoding,
+    applyEncoder,
+    outputFilename
+};
@@ -0,0 +1,54 @@
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+
+// Configure ffmpeg
+if (ffmpegPath) {
+    ffmpeg.setFfmpegPath(ffmpegPath);
+} else {
+    console.warn("ffmpeg-static not found, audio conversion might fail if ffmpeg is not in PATH");
+}
+
+// Runs a fluent-ffmpeg command to completion, killing it when `signal` aborts
+function runCommand(command, { signal, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new Error('Cancelled'));
+            return;
+        }
+
+        const abort = () => command.kill('SIGKILL');
+        if (signal) signal.addEventListener('abort', abort, { once: true });
+
+        command
+            .on('progress', (progress) => {
+                if (onProgress && Number.isFinite(progress.percent)) {
+                    onProgress(Math.max(0, Math.min(100, progress.percent)));
+                }
+            })
+            .on('error', (err) => {
+                if (signal) signal.removeEventListener('abort', abort);
+                reject(signal && signal.aborted ? new Error('Cancelled') : err);
+            })
+            .on('end', (stdout, stderr) => {
+                if (signal) signal.removeEventListener('abort', abort);
+                resolve(stderr);
+            })
+            .run();
+    });
+}
+
+// Reads the duration (in seconds) ffmpeg reports for an input, or null when it has none
+async function readDuration(input, signal) {
+    const command = ffmpeg(input).outputOptions('-t 0').format('null').output('-');
+    const stderr = await runCommand(command, { signal });
+    const match = String(stderr).match(/Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/);
+    if (!match) return null;
+    const [, hours, minutes, seconds] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+module.exports = {
+    ffmpeg,
+    runCommand,
+    readDuration
+};
@@ -0,0 +1,46 @@
+const path = require('path');
+
+// Extensions each pipeline accepts from disk (native picker, CLI)
+const mediaExtensions = {
+    image: new Set(['.jpg', '.jpeg', '.png', '.gif', '.tif', '.tiff', '.webp', '.svg']),
+    audio: new Set(['.wav', '.flac', '.aiff', '.aif', '.m4a', '.ogg']),
+    video: new Set(['.mp4', '.mov', '.webm'])
+};
+
+function positiveNumber(value, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+// Input limits (see lib/validation.js); the pixel cap is also sharp's `limitInputPixels`
+const limits = {
+    maxFileBytes: Math.floor(positiveNumber(process.env.ANVL_MAX_FILE_MB, 512) * 1024 * 1024),
+    maxRequestBytes: Math.floor(positiveNumber(process.env.ANVL_MAX_REQUEST_MB, 2048) * 1024 * 1024),
+    maxPixels: Math.round(positiveNumber(process.env.ANVL_MAX_MEGAPIXELS, 100) * 1000000),
+    maxAudioSeconds: positiveNumber(process.env.ANVL_MAX_AUDIO_MINUTES, 60) * 60
+};
+
+// Multer interprets headers as latin1 by default, but modern browsers send utf8
+function fixOriginalName(originalname) {
+    return Buffer.from(originalname, 'latin1').toString('utf8');
+}
+
+// Turns a file name into a safe ASCII stem for output files
+function safeStem(name) {
+    return path.parse(name).name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+function outputStem(originalname) {
+    return safeStem(fixOriginalName(originalname));
+}
+
+module.exports = {
+    mediaExtensions,
+    limits,
+    fixOriginalName,
+    safeStem,
+    outputStem
+};
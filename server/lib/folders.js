@@ -0,0 +1,305 @@
+const path = require('path');
+const fs = require('fs');
+const { globToRegExp, matchInput } = require('./scan');
+const { mediaExtensions } = require('./files');
+const { assignOutputStems } = require('./sessions');
+const { resultOutputs } = require('./manifest');
+const { uploadKinds, rejection, checkFile } = require('./validation');
+
+const folderLayouts = ['mirror', 'alongside'];
+const overwritePolicies = ['skip', 'replace', 'rename'];
+// Larger trees are narrowed down with include patterns
+const maxFolderFiles = 1000;
+// Lists the outputs written next to the originals, so later scans leave them out
+const outputLedgerName = '.anvl-outputs.json';
+
+function patternList(value, fallback) {
+    const list = typeof value === 'string' ? [value] : value;
+    if (list === undefined || list === null) return { ok: true, patterns: fallback };
+    if (!Array.isArray(list) || list.some(pattern => typeof pattern !== 'string' || pattern.trim() === '')) {
+        return { ok: false };
+    }
+    return { ok: true, patterns: list.map(pattern => pattern.trim().replace(/^\.?\//, '')) };
+}
+
+/**
+ * Validates a native folder request: `root` (the absolute folder to scan),
+ * `include` / `exclude` glob patterns relative to it (everything by
+ * default), `layout` (`mirror` the tree into `target`, or write `alongside`
+ * each original) and `overwrite` (`skip`, `replace` or `rename` outputs that
+ * already exist). Resolves to the options with `ok: true`, or `{ ok: false, error }`.
+ */
+async function resolveFolderOptions(spec) {
+    if (!spec || typeof spec !== 'object') return { ok: false, error: 'Expected folder options' };
+
+    const { root, target, layout = 'mirror', overwrite = 'skip' } = spec;
+    if (typeof root !== 'string' || !path.isAbsolute(root)) {
+        return { ok: false, error: 'Folder path must be absolute' };
+    }
+    const rootStat = await fs.promises.stat(root).catch(() => null);
+    if (!rootStat || !rootStat.isDirectory()) return { ok: false, error: 'Folder does not exist' };
+
+    if (!folderLayouts.includes(layout)) return { ok: false, error: `Unknown folder layout: ${layout}` };
+    if (!overwritePolicies.includes(overwrite)) return { ok: false, error: `Unknown overwrite policy: ${overwrite}` };
+    if (layout === 'mirror' && (typeof target !== 'string' || !path.isAbsolute(target))) {
+        return { ok: false, error: 'Target folder path must be absolute' };
+    }
+
+    const include = patternList(spec.include, ['**/*']);
+    const exclude = patternList(spec.exclude, []);
+    if (!include.ok || !exclude.ok) return { ok: false, error: 'Patterns must be a list of globs' };
+
+    return {
+        ok: true,
+        root: path.resolve(root),
+        target: layout === 'mirror' ? path.resolve(target) : null,
+        layout,
+        overwrite,
+        include: include.patterns,
+        exclude: exclude.patterns
+    };
+}
+
+// Paths (relative to the root, posix) of the outputs earlier runs wrote inside the folder
+async function readOutputLedger(root) {
+    try {
+        const { outputs } = JSON.parse(await fs.promises.readFile(path.join(root, outputLedgerName), 'utf8'));
+        return Array.isArray(outputs) ? outputs.filter(output => typeof output === 'string') : [];
+    } catch {
+        return [];
+    }
+}
+
+async function writeOutputLedger(root, outputs) {
+    const ledgerPath = path.join(root, outputLedgerName);
+    const tempPath = `${ledgerPath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify({ outputs: outputs.sort() }, null, 2));
+    await fs.promises.rename(tempPath, ledgerPath);
+}
+
+/**
+ * Lists the `type` (image, audio, video) files under the folder, sorted by
+ * path. Hidden files, the target folder and the outputs of earlier runs
+ * (from the folder's output ledger) are skipped. Every file is
+ * checked like an upload (`optionsFor(file)` as for checkFile); a refused
+ * one is left out and reported in `skipped` instead of failing the folder.
+ * Files are `{ path, originalname, size, relative }`, named the way multer
+ * names uploads. `sources` holds every matching path, lowercased, so no
+ * output is ever written over one. Resolves to `{ ok, files, skipped,
+ * sources, outputs }`, `outputs` being the ledger, or `{ ok: false, rejection }`.
+ */
+async function scanFolder(folder, type, optionsFor = () => ({})) {
+    const include = folder.include.map(globToRegExp);
+    const exclude = folder.exclude.map(globToRegExp);
+    const source = {
+        root: folder.root,
+        test: relative => include.some(pattern => pattern.test(relative)) && !exclude.some(pattern => pattern.test(relative))
+    };
+    const scanOptions = { extensions: mediaExtensions[type], exclude: folder.target ? [folder.target] : [] };
+    const outputs = await readOutputLedger(folder.root);
+    const generated = new Set(outputs.map(output => output.toLowerCase()));
+
+    const matches = [];
+    for (const entry of await fs.promises.readdir(folder.root, { recursive: true })) {
+        const match = matchInput([source], path.join(folder.root, entry), scanOptions);
+        if (match && !generated.has(match.relative.toLowerCase())) matches.push(match);
+    }
+    if (matches.length > maxFolderFiles) {
+        return { ok: false, rejection: rejection(413, 'too_many_files', `The folder holds ${matches.length} matching files, the limit is ${maxFolderFiles}`) };
+    }
+
+    const files = [];
+    const skipped = [];
+    for (const match of matches.sort((a, b) => a.relative.localeCompare(b.relative))) {
+        const stat = await fs.promises.stat(match.path).catch(() => null);
+        if (!stat || !stat.isFile()) continue;
+
+        const file = {
+            path: match.path,
+            originalname: Buffer.from(path.basename(match.path)).toString('latin1'),
+            size: stat.size,
+            relative: match.relative
+        };
+        const problem = await checkFile(file, uploadKinds[type], { ...optionsFor(file), name: match.relative });
+        if (problem) skipped.push(problem);
+        else files.push(file);
+    }
+
+    return { ok: true, files, skipped, sources: new Set(matches.map(match => match.path.toLowerCase())), outputs };
+}
+
+// Where a file's outputs are delivered
+function destinationDir(folder, file) {
+    if (folder.layout === 'alongside') return path.dirname(file.path);
+    return path.join(folder.target, ...path.posix.dirname(file.relative).split('/'));
+}
+
+// The batch subfolder holding a file's outputs: its folder inside the scanned
+// tree, with URL-safe names ('' at the top)
+function batchSubdir(file) {
+    const dir = path.posix.dirname(file.relative);
+    return dir === '.' ? '' : dir.split('/').map(segment => segment.replace(/[^a-zA-Z0-9._-]/g, '_')).join('/');
+}
+
+// Output stems only clash inside one batch subfolder (and so one destination folder)
+function assignFolderStems(files) {
+    const groups = new Map();
+    files.forEach(file => {
+        const dir = batchSubdir(file);
+        if (!groups.has(dir)) groups.set(dir, []);
+        groups.get(dir).push(file);
+    });
+    return new Map([...groups.values()].flatMap(group => [...assignOutputStems(group)]));
+}
+
+/**
+ * Where a folder's files would go, without writing anything: per file its
+ * `source` (path inside the folder), `size`, `destination` folder, output
+ * `stem` and the `existing` files there that share the stem, which the
+ * overwrite policy applies to.
+ */
+async function planFolder(folder, files) {
+    const stems = assignFolderStems(files);
+    const listings = new Map();
+
+    const plan = [];
+    for (const file of files) {
+        const destination = destinationDir(folder, file);
+        if (!listings.has(destination)) {
+            listings.set(destination, await fs.promises.readdir(destination).catch(() => []));
+        }
+        const stem = stems.get(file);
+        const existing = listings.get(destination).filter(name => {
+            const rest = name.slice(stem.length);
+            return name.toLowerCase().startsWith(stem.toLowerCase()) && /^[-_.]/.test(rest) && name !== path.basename(file.path);
+        });
+        plan.push({ source: file.relative, size: file.size, destination, stem, existing });
+    }
+    return plan;
+}
+
+async function copyExclusive(from, to) {
+    try {
+        await fs.promises.copyFile(from, to, fs.constants.COPYFILE_EXCL);
+        return true;
+    } catch (error) {
+        if (error && error.code === 'EEXIST') return false;
+        throw error;
+    }
+}
+
+/**
+ * Delivery for one folder batch (`scan` as from scanFolder). The returned
+ * function copies one finished file's outputs from its batch to its
+ * destination folder under the overwrite policy and resolves to
+ * `[{ path, status }]`, status being `written`, `replaced`, `renamed` or
+ * `skipped`.
+ *
+ * Every name the batch delivers is reserved for the whole batch: a name
+ * under another file's stem, one already delivered or a scanned source is
+ * never written, the output is renamed (`-2`, `-3`, ...) past them first
+ * and the policy then applies to that name. Alongside outputs are added to
+ * the folder's output ledger.
+ */
+function createDelivery(folder, { files, sources, outputs }) {
+    const stems = assignFolderStems(files);
+    const claims = new Map();
+    files.forEach(file => {
+        const destination = destinationDir(folder, file).toLowerCase();
+        if (!claims.has(destination)) claims.set(destination, []);
+        claims.get(destination).push({ file, stem: stems.get(file).toLowerCase() });
+    });
+    const reserved = new Set();
+    const ledger = new Set(outputs);
+    let ledgerWrite = Promise.resolve();
+
+    // The file whose outputs a name belongs to: the longest stem it starts with
+    function ownerOf(candidate) {
+        const name = path.basename(candidate).toLowerCase();
+        let owner = null;
+        for (const claim of claims.get(path.dirname(candidate).toLowerCase()) || []) {
+            const rest = name.slice(claim.stem.length);
+            if (name.startsWith(claim.stem) && /^[-_.]/.test(rest) && (!owner || claim.stem.length > owner.stem.length)) {
+                owner = claim;
+            }
+        }
+        return owner && owner.file;
+    }
+
+    function isFree(file, candidate) {
+        const key = candidate.toLowerCase();
+        const owner = ownerOf(candidate);
+        return !sources.has(key) && !reserved.has(key) && (!owner || owner === file);
+    }
+
+    // The next free `<stem>-<n><ext>` from `suffix` on, reserved right away
+    function reserveRenamed(file, destination, name, suffix) {
+        const ext = path.extname(name);
+        const stem = path.basename(name, ext);
+        for (; suffix < 1000; suffix += 1) {
+            const candidate = path.join(destination, `${stem}-${suffix}${ext}`);
+            if (isFree(file, candidate)) {
+                reserved.add(candidate.toLowerCase());
+                return { candidate, suffix };
+            }
+        }
+        throw new Error(`Could not find a free name for ${name}`);
+    }
+
+    function recordOutputs(delivered) {
+        const written = delivered.filter(output => output.status !== 'skipped');
+        if (folder.layout !== 'alongside' || written.length === 0) return ledgerWrite;
+        written.forEach(output => ledger.add(path.relative(folder.root, output.path).split(path.sep).join('/')));
+        ledgerWrite = ledgerWrite
+            .then(() => writeOutputLedger(folder.root, [...ledger]))
+            .catch(error => console.error('Could not update the output ledger:', error));
+        return ledgerWrite;
+    }
+
+    return async function deliver(type, result, { file, outputDir, publicPath }) {
+        const destination = destinationDir(folder, file);
+        await fs.promises.mkdir(destination, { recursive: true });
+
+        const delivered = [];
+        for (const output of resultOutputs(type, result)) {
+            if (!output.url.startsWith(`${publicPath}/`)) continue;
+            const name = path.posix.basename(output.url);
+            const from = path.join(outputDir, name);
+
+            let to = path.join(destination, name);
+            let suffix = 1;
+            let renamed = false;
+            if (isFree(file, to)) {
+                reserved.add(to.toLowerCase());
+            } else {
+                ({ candidate: to, suffix } = reserveRenamed(file, destination, name, suffix + 1));
+                renamed = true;
+            }
+
+            if (await copyExclusive(from, to)) {
+                delivered.push({ path: to, status: renamed ? 'renamed' : 'written' });
+            } else if (folder.overwrite === 'skip') {
+                delivered.push({ path: to, status: 'skipped' });
+            } else if (folder.overwrite === 'replace') {
+                await fs.promises.copyFile(from, to);
+                delivered.push({ path: to, status: 'replaced' });
+            } else {
+                do {
+                    ({ candidate: to, suffix } = reserveRenamed(file, destination, name, suffix + 1));
+                } while (!await copyExclusive(from, to));
+                delivered.push({ path: to, status: 'renamed' });
+            }
+        }
+        await recordOutputs(delivered);
+        return delivered;
+    };
+}
+
+module.exports = {
+    resolveFolderOptions,
+    scanFolder,
+    batchSubdir,
+    assignFolderStems,
+    planFolder,
+    createDelivery
+};
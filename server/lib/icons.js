@@ -0,0 +1,203 @@
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+const archiver = require('archiver');
+const { outputStem, limits } = require('./files');
+
+const iconExtensions = new Set(['.png', '.svg']);
+const icoSizes = [16, 32, 48];
+// Maskable icons are cropped to a circle 80% across; the logo stays inside it
+const defaultMaskableScale = 0.6;
+const hexColor = /^#[0-9a-f]{6}$/i;
+
+function clamp(value, min, max, fallback) {
+    const number = Number(value);
+    if (value === undefined || value === null || value === '' || !Number.isFinite(number)) return fallback;
+    return Math.min(max, Math.max(min, number));
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function resolveIconOptions(options = {}, fallbackName) {
+    const name = typeof options.name === 'string' && options.name.trim() ? options.name.trim().slice(0, 100) : fallbackName;
+    const basePath = typeof options.basePath === 'string' && /^[\w./-]*$/.test(options.basePath) ? options.basePath : '/';
+    return {
+        name,
+        shortName: typeof options.shortName === 'string' && options.shortName.trim() ? options.shortName.trim().slice(0, 30) : name.slice(0, 30),
+        themeColor: hexColor.test(options.themeColor) ? options.themeColor : '#ffffff',
+        backgroundColor: hexColor.test(options.backgroundColor) ? options.backgroundColor : '#ffffff',
+        basePath: basePath.endsWith('/') ? basePath : `${basePath}/`,
+        maskableScale: clamp(options.maskableScale, 0.4, 0.8, defaultMaskableScale)
+    };
+}
+
+/**
+ * Packs PNG images into an ICO container. Every browser since IE Vista reads
+ * PNG entries, which keeps the alpha channel intact.
+ */
+function packIco(images) {
+    const header = Buffer.alloc(6);
+    header.writeUInt16LE(0, 0);
+    header.writeUInt16LE(1, 2);
+    header.writeUInt16LE(images.length, 4);
+
+    let offset = header.length + images.length * 16;
+    const entries = images.map(({ size, data }) => {
+        const entry = Buffer.alloc(16);
+        // 0 stands for 256
+        entry.writeUInt8(size >= 256 ? 0 : size, 0);
+        entry.writeUInt8(size >= 256 ? 0 : size, 1);
+        entry.writeUInt8(0, 2);
+        entry.writeUInt8(0, 3);
+        entry.writeUInt16LE(1, 4);
+        entry.writeUInt16LE(32, 6);
+        entry.writeUInt32LE(data.length, 8);
+        entry.writeUInt32LE(offset, 12);
+        offset += data.length;
+        return entry;
+    });
+
+    return Buffer.concat([header, ...entries, ...images.map(image => image.data)]);
+}
+
+/**
+ * Strips what lets an SVG run code or load anything when opened on its own:
+ * the doctype (and its entities), scripts, foreignObject, event handler
+ * attributes, links that leave the document, animations that rewrite a
+ * link and external CSS. What draws the logo is kept.
+ */
+function sanitizeSvg(svg) {
+    const attribute = (name) => new RegExp(`\\s${name}\\s*=\\s*("[^"]*"|'[^']*'|[^\\s>]+)`, 'gi');
+    return svg
+        .replace(/<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>/gi, '')
+        .replace(/<((?:[\w-]+:)?(?:script|foreignObject))\b[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/<(?:[\w-]+:)?(?:script|foreignObject)\b[^>]*>/gi, '')
+        .replace(/<(set|animate)\b[^>]*attributeName\s*=\s*["']?(?:xlink:)?href[\s\S]*?(?:\/>|<\/\1\s*>)/gi, '')
+        .replace(attribute('on[a-z]+'), '')
+        .replace(attribute('(?:(?:xlink:)?href|src)'), (match, value) => /^["']?#/.test(value) ? match : '')
+        .replace(/@import[^;]*;?/gi, '')
+        .replace(/url\(\s*(?!['"]?#)[^)]*\)/gi, 'none');
+}
+
+async function zipDirectory(directory, zipPath) {
+    await new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(zipPath);
+        const archive = archiver('zip', { zlib: { level: 9 } });
+
+        output.on('close', resolve);
+        output.on('error', reject);
+        archive.on('error', reject);
+
+        archive.pipe(output);
+        archive.directory(directory, false);
+        archive.finalize();
+    });
+}
+
+/**
+ * Builds a favicon/app-icon set from one PNG or SVG logo inside
+ * `<outputDir>/<stem>-icons/`: `favicon.ico` (16/32/48), PNG favicons,
+ * `apple-touch-icon.png`, Android/PWA 192/512 icons, maskable variants
+ * padded into the safe zone, `site.webmanifest`, and the logo as
+ * `favicon.svg` for SVG sources (without scripts or external references). Everything is also zipped next to the
+ * folder. `result.html` is the `<link>` block to paste into `<head>`.
+ */
+async function processIcons(file, options, { outputDir, publicPath, stem, signal }) {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!iconExtensions.has(ext)) throw new Error('Icons need a PNG or SVG logo');
+
+    const filename = stem || outputStem(file.originalname);
+    const settings = resolveIconOptions(options, filename);
+    const iconsDir = path.join(outputDir, `${filename}-icons`);
+    const iconsPath = `${publicPath}/${filename}-icons`;
+    await fs.promises.mkdir(iconsDir, { recursive: true });
+
+    // Vector logos are rasterized large enough for the 512px icons
+    const isSvg = ext === '.svg';
+    const { width = 512, height = 512 } = await sharp(file.path).metadata();
+    const density = isSvg ? Math.min(2400, Math.ceil((72 * 1024) / Math.max(1, Math.min(width, height)))) : undefined;
+    const logo = () => sharp(file.path, { density, limitInputPixels: limits.maxPixels });
+
+    const transparent = { r: 0, g: 0, b: 0, alpha: 0 };
+    const square = (size, background) => logo()
+        .resize({ width: size, height: size, fit: 'contain', background: background || transparent });
+    const padded = async (size, scale, background) => {
+        const inner = Math.round(size * scale);
+        const mark = await square(inner).png().toBuffer();
+        return sharp({ create: { width: size, height: size, channels: 4, background } })
+            .composite([{ input: mark, gravity: 'centre' }]);
+    };
+
+    const outputs = [];
+    const write = async (name, pipeline, details = {}) => {
+        if (signal && signal.aborted) throw new Error('Cancelled');
+        const info = await pipeline.png({ compressionLevel: 9, adaptiveFiltering: true }).toFile(path.join(iconsDir, name));
+        outputs.push({ name, url: `${iconsPath}/${name}`, width: info.width, height: info.height, size: info.size, ...details });
+    };
+
+    await write('favicon-16x16.png', square(16));
+    await write('favicon-32x32.png', square(32));
+    // iOS fills transparent pixels with black, so the touch icon gets the background color
+    await write('apple-touch-icon.png', square(180, settings.backgroundColor).flatten({ background: settings.backgroundColor }));
+    await write('android-chrome-192x192.png', square(192), { purpose: 'any' });
+    await write('android-chrome-512x512.png', square(512), { purpose: 'any' });
+    await write('maskable-192x192.png', await padded(192, settings.maskableScale, settings.backgroundColor), { purpose: 'maskable' });
+    await write('maskable-512x512.png', await padded(512, settings.maskableScale, settings.backgroundColor), { purpose: 'maskable' });
+
+    const ico = packIco(await Promise.all(icoSizes.map(async size => ({ size, data: await square(size).png().toBuffer() }))));
+    await fs.promises.writeFile(path.join(iconsDir, 'favicon.ico'), ico);
+    outputs.unshift({ name: 'favicon.ico', url: `${iconsPath}/favicon.ico`, sizes: icoSizes, size: ico.length });
+
+    if (isSvg) {
+        const svg = Buffer.from(sanitizeSvg(await fs.promises.readFile(file.path, 'utf8')));
+        await fs.promises.writeFile(path.join(iconsDir, 'favicon.svg'), svg);
+        outputs.push({ name: 'favicon.svg', url: `${iconsPath}/favicon.svg`, size: svg.length });
+    }
+
+    const href = (name) => `${settings.basePath}${name}`;
+    const manifest = {
+        name: settings.name,
+        short_name: settings.shortName,
+        icons: outputs
+            .filter(output => output.purpose)
+            .map(output => ({ src: href(output.name), sizes: `${output.width}x${output.height}`, type: 'image/png', purpose: output.purpose })),
+        theme_color: settings.themeColor,
+        background_color: settings.backgroundColor,
+        display: 'standalone'
+    };
+    const manifestJson = `${JSON.stringify(manifest, null, 2)}\n`;
+    await fs.promises.writeFile(path.join(iconsDir, 'site.webmanifest'), manifestJson);
+    outputs.push({ name: 'site.webmanifest', url: `${iconsPath}/site.webmanifest`, size: Buffer.byteLength(manifestJson) });
+
+    const html = [
+        `<link rel="icon" href="${escapeHtml(href('favicon.ico'))}" sizes="48x48">`,
+        isSvg && `<link rel="icon" href="${escapeHtml(href('favicon.svg'))}" type="image/svg+xml">`,
+        `<link rel="icon" type="image/png" sizes="32x32" href="${escapeHtml(href('favicon-32x32.png'))}">`,
+        `<link rel="icon" type="image/png" sizes="16x16" href="${escapeHtml(href('favicon-16x16.png'))}">`,
+        `<link rel="apple-touch-icon" href="${escapeHtml(href('apple-touch-icon.png'))}">`,
+        `<link rel="manifest" href="${escapeHtml(href('site.webmanifest'))}">`,
+        `<meta name="theme-color" content="${settings.themeColor}">`
+    ].filter(Boolean).join('\n');
+
+    const zipFilename = `${filename}-icons.zip`;
+    await zipDirectory(iconsDir, path.join(outputDir, zipFilename));
+
+    return {
+        originalName: file.originalname,
+        originalSize: file.size,
+        source: { width, height, format: isSvg ? 'svg' : 'png' },
+        options: settings,
+        files: outputs,
+        html,
+        zip: `${publicPath}/${zipFilename}`,
+        zipSize: (await fs.promises.stat(path.join(outputDir, zipFilename))).size
+    };
+}
+
+module.exports = {
+    iconExtensions,
+    packIco,
+    processIcons
+};
@@ -0,0 +1,559 @@
+const sharp = require('sharp');
+const path = require('path');
+const fs = require('fs');
+const { outputStem, limits } = require('./files');
+const { resolveMetadataPolicy, planMetadata } = require('./metadata');
+const { readPixels, measure, writeHeatmap } = require('./quality');
+const { resolvePlaceholderTypes, createPlaceholders } = require('./placeholders');
+const { resolveOverlay, applyOverlay } = require('./overlay');
+const { imageFormats, resolveEncoding, applyEncoder, outputFilename } = require('./encoders');
+const { readAnimation, encodeAnimatedAvif } = require('./animation');
+
+const breakpointPresets = {
+    mobile: [320, 640],
+    standard: [320, 640, 1024, 1600],
+    wide: [640, 1024, 1600, 2400]
+};
+
+// Returns the breakpoint widths smaller than the base image, largest first.
+// Per-file `widths`/`breakpoints` win over the batch-wide responsive settings.
+function resolveResponsiveWidths(resizeOptions, responsive, baseWidth) {
+    const source = resizeOptions && (resizeOptions.widths || resizeOptions.breakpoints)
+        ? resizeOptions
+        : responsive || {};
+
+    let widths = source.widths;
+    if (!Array.isArray(widths) && source.breakpoints) {
+        widths = breakpointPresets[source.breakpoints];
+    }
+    if (!Array.isArray(widths)) return [];
+
+    const unique = new Set(
+        widths
+            .map(width => parseInt(width, 10))
+            .filter(width => Number.isFinite(width) && width > 0 && width < baseWidth)
+    );
+    return [...unique].sort((a, b) => b - a);
+}
+
+const fitModes = ['cover', 'contain', 'inside', 'outside', 'fill'];
+
+// SVGs are rasterized at sharp's 72 DPI unless a file's `density` asks for more
+const maxDensity = 1200;
+
+// Opens an input, rasterizing vector sources at `resizeOptions.density`;
+// decoding refuses more pixels than the configured limit
+function openImage(input, resizeOptions, options = {}) {
+    const density = parseInt(resizeOptions && resizeOptions.density, 10);
+    return sharp(input, {
+        limitInputPixels: limits.maxPixels,
+        ...options,
+        density: Number.isFinite(density) && density > 0 ? Math.min(maxDensity, density) : undefined
+    });
+}
+
+// How the resized copy of a source is written (the first extension unless the
+// upload uses another one); SVGs become PNGs
+const originalFormats = {
+    jpeg: { exts: ['.jpg', '.jpeg'], encode: (image, quality) => image.jpeg({ quality, mozjpeg: true }) },
+    png: { exts: ['.png'], encode: (image, quality) => image.png({ compressionLevel: 9, adaptiveFiltering: true, palette: true, quality }) },
+    gif: { exts: ['.gif'], encode: image => image.gif({ effort: 10 }) },
+    tiff: { exts: ['.tif', '.tiff'], encode: image => image.tiff({ compression: 'lzw', predictor: 'horizontal' }) },
+    webp: { exts: ['.webp'], encode: (image, quality) => image.webp({ quality }) }
+};
+
+const cropStrategies = {
+    attention: sharp.strategy.attention,
+    entropy: sharp.strategy.entropy
+};
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Works out which region of the source a `cover` resize keeps, in source
+ * pixels. `focal` ({ x, y } as 0-1 fractions) centres the crop on that point;
+ * `position: 'attention' | 'entropy'` lets sharp find the interesting region.
+ */
+async function coverCrop(createSource, source, target, { position, focal } = {}) {
+    const scale = Math.max(target.width / source.width, target.height / source.height);
+    const width = Math.min(source.width, Math.round(target.width / scale));
+    const height = Math.min(source.height, Math.round(target.height / scale));
+    const place = (centerX, centerY) => ({
+        left: clamp(Math.round(centerX - width / 2), 0, source.width - width),
+        top: clamp(Math.round(centerY - height / 2), 0, source.height - height),
+        width,
+        height
+    });
+
+    if (focal && Number.isFinite(Number(focal.x)) && Number.isFinite(Number(focal.y))) {
+        return place(clamp(Number(focal.x), 0, 1) * source.width, clamp(Number(focal.y), 0, 1) * source.height);
+    }
+
+    if (cropStrategies[position]) {
+        // Sharp reports the chosen offset (negated, in resized pixels) on the output info
+        const { info } = await createSource()
+            .resize({ width: target.width, height: target.height, fit: 'cover', position: cropStrategies[position] })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        return place(
+            -info.cropOffsetLeft / scale + width / 2,
+            -info.cropOffsetTop / scale + height / 2
+        );
+    }
+
+    return place(source.width / 2, source.height / 2);
+}
+
+/**
+ * Adds the resize described by `resizeOptions` to `pipeline`. Resolves to
+ * `{ pipeline, fit, crop }`; `crop` is the kept source region for `cover`,
+ * measured after EXIF rotation when `autoOrient` is set.
+ */
+async function applyResize(pipeline, input, resizeOptions, { autoOrient = false } = {}) {
+    const fit = fitModes.includes(resizeOptions.fit) ? resizeOptions.fit : 'fill';
+    const width = parseInt(resizeOptions.width, 10) || null;
+    const height = parseInt(resizeOptions.height, 10) || null;
+
+    // An explicit crop + exact resize, so the crop can be reported and previewed
+    if (fit === 'cover' && width && height) {
+        const metadata = await openImage(input, resizeOptions).metadata();
+        const source = autoOrient && metadata.autoOrient ? metadata.autoOrient : metadata;
+        const createSource = () => (autoOrient ? openImage(input, resizeOptions).autoOrient() : openImage(input, resizeOptions));
+        const crop = await coverCrop(createSource, source, { width, height }, resizeOptions);
+        return {
+            pipeline: pipeline.extract(crop).resize({ width, height, fit: 'fill' }),
+            fit,
+            crop
+        };
+    }
+
+    // With one side given every fit keeps the aspect ratio, but sharp only
+    // scales the frames of an animation per frame with its default fit
+    const resize = width && height ? { width, height, fit } : { width, height };
+    if (fit === 'contain') resize.background = resizeOptions.background || '#ffffff';
+    return { pipeline: pipeline.resize(resize), fit, crop: null };
+}
+
+const defaultMinQuality = 20;
+
+/**
+ * Checks a `resizeOptions.budget`: every format given a byte budget (null
+ * or missing means none) needs a positive, finite number. Returns
+ * `{ ok: true }` or `{ ok: false, error }`.
+ */
+function validateBudget(budget) {
+    if (budget === undefined || budget === null) return { ok: true };
+    if (typeof budget !== 'object' || Array.isArray(budget)) return { ok: false, error: 'Budget must be an object of byte sizes' };
+    for (const format of Object.keys(imageFormats).filter(name => !imageFormats[name].lossless)) {
+        const maxBytes = budget[format];
+        if (maxBytes === undefined || maxBytes === null) continue;
+        if (typeof maxBytes !== 'number' || !Number.isFinite(maxBytes) || maxBytes <= 0) {
+            return { ok: false, error: `${format.toUpperCase()} budget must be a positive number of bytes, got ${JSON.stringify(maxBytes)}` };
+        }
+    }
+    return { ok: true };
+}
+
+function encode(image, format, quality, settings) {
+    return applyEncoder(image.clone(), format, quality, settings).toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Searches for the highest quality whose output fits in `maxBytes`.
+ * When even `minQuality` is too big and `allowDownscale` is set, the width is
+ * reduced and the search repeated. Resolves to `{ output, quality, width, met }`.
+ */
+async function encodeWithinBudget(createImage, format, { maxBytes, startQuality, minQuality, allowDownscale, baseWidth, settings, signal }) {
+    let width = baseWidth;
+    let floor = null;
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+        const image = width === baseWidth ? createImage() : createImage().resize({ width });
+        let low = Math.min(minQuality, startQuality);
+        let high = startQuality;
+        let quality = high;
+        let best = null;
+
+        while (low <= high) {
+            if (signal && signal.aborted) throw new Error('Cancelled');
+
+            const output = await encode(image, format, quality, settings);
+            if (output.info.size <= maxBytes) {
+                best = { output, quality };
+                low = quality + 1;
+            } else {
+                floor = { output, quality };
+                high = quality - 1;
+            }
+            quality = Math.floor((low + high) / 2);
+        }
+
+        if (best) return { ...best, width, met: true };
+        if (!allowDownscale) break;
+
+        // Pixel count scales roughly with bytes, so shrink the width by the square root
+        const nextWidth = Math.floor(width * Math.sqrt(maxBytes / floor.output.info.size) * 0.95);
+        if (nextWidth < 16 || nextWidth >= width) break;
+        width = nextWidth;
+    }
+
+    return { ...floor, width, met: false };
+}
+
+const maxAutoQuality = 95;
+
+/**
+ * Searches for the lowest quality whose output still reaches `targetSsim`
+ * against `reference` (see `readPixels`). Falls back to the highest quality
+ * tried when the target is out of reach. Resolves to
+ * `{ output, quality, metrics, met }`.
+ */
+async function encodeForSsim(image, format, reference, { targetSsim, minQuality, settings, signal }) {
+    let low = minQuality;
+    let high = maxAutoQuality;
+    let best = null;
+    let ceiling = null;
+
+    while (low <= high) {
+        if (signal && signal.aborted) throw new Error('Cancelled');
+
+        const quality = Math.floor((low + high) / 2);
+        const output = await encode(image, format, quality, settings);
+        const { metrics } = await measure(reference, output.data);
+        if (metrics.ssim >= targetSsim) {
+            best = { output, quality, metrics };
+            high = quality - 1;
+        } else {
+            ceiling = { output, quality, metrics };
+            low = quality + 1;
+        }
+    }
+
+    return best ? { ...best, met: true } : { ...ceiling, met: false };
+}
+
+// Normalizes the batch-wide `metrics` field; a per-file `targetSsim` wins
+function resolveMetricsOptions(metrics = {}, resizeOptions) {
+    const target = Number((resizeOptions && resizeOptions.targetSsim) || metrics.targetSsim);
+    const targetSsim = Number.isFinite(target) && target > 0 && target < 1 ? target : null;
+    const heatmap = Boolean(metrics.heatmap);
+    return {
+        enabled: Boolean(metrics.enabled) || heatmap || targetSsim !== null,
+        heatmap,
+        targetSsim
+    };
+}
+
+function budgetReport(format, budget, search) {
+    const report = {
+        maxBytes: budget[format],
+        quality: search.quality,
+        size: search.output.info.size,
+        width: search.output.info.width,
+        height: search.output.info.height,
+        met: search.met
+    };
+    if (!search.met) {
+        report.note = `${format.toUpperCase()} budget of ${budget[format]} bytes cannot be met at minimum quality ${search.quality}`
+            + (budget.allowDownscale ? ' even after downscaling' : '');
+    }
+    return report;
+}
+
+/**
+ * Converts one uploaded image into its output formats (AVIF and WebP unless
+ * `formats` or `resizeOptions.formats` say otherwise, see `resolveEncoding`),
+ * plus responsive variants, resized original and LQIP, inside `outputDir`.
+ * `encoders` holds the batch-wide advanced settings per format. Stops
+ * between encodes once `signal` aborts. `metadata` is the batch metadata policy
+ * (see `resolveMetadataPolicy`); `stem` overrides the output file stem.
+ * `metrics` turns on SSIM/PSNR/DSSIM scoring against the resized source,
+ * difference heatmaps and the `targetSsim` quality search. `placeholders`
+ * lists extra placeholder types (see `placeholderTypes`) next to the LQIP.
+ * `overlay` (see `resolveOverlay`) watermarks the base image, so every
+ * format and size carries it; `overlayImage` is the uploaded mark.
+ * JPEG, PNG, GIF, TIFF, WebP and SVG (at `resizeOptions.density`) sources are
+ * read. Animated GIFs and WebPs keep their frames, delays and loop count in
+ * AVIF and WebP outputs (JPEG and PNG get the first frame); budgets and
+ * quality scores only apply to still images. A budget that fails
+ * validateBudget throws.
+ */
+async function processImage(file, { resizeOptions, responsive = {}, metadata = {}, metrics = {}, placeholders = [], overlay, overlayImage, formats, encoders, outputDir, publicPath, stem, signal }) {
+    const validation = validateBudget(resizeOptions && resizeOptions.budget);
+    if (!validation.ok) throw new Error(validation.error);
+    const filename = stem || outputStem(file.originalname);
+
+    // Determine quality (default 80)
+    const quality = resizeOptions && resizeOptions.quality ? parseInt(resizeOptions.quality) : 80;
+    const encoding = resolveEncoding({ formats, encoders }, resizeOptions);
+
+    const policy = resolveMetadataPolicy(metadata);
+    const metadataPlan = await planMetadata(file.path, policy);
+    const sourceMetadata = await openImage(file.path, resizeOptions).metadata();
+    const animation = readAnimation(sourceMetadata);
+
+    // Base sharp instance
+    let imagePipeline = openImage(file.path, resizeOptions, { animated: Boolean(animation) });
+    if (policy.autoOrient) imagePipeline = imagePipeline.autoOrient();
+    if (metadataPlan.keepSourceProfile) imagePipeline = imagePipeline.keepIccProfile();
+    let resized = null;
+
+    // Apply resize if options exist
+    if (resizeOptions && (resizeOptions.width || resizeOptions.height)) {
+        resized = await applyResize(imagePipeline, file.path, resizeOptions, { autoOrient: policy.autoOrient });
+        imagePipeline = resized.pipeline;
+    }
+
+    // Render the base image once so responsive variants can be derived from it
+    // (sharp only allows a single resize per pipeline). Raw pixels are always
+    // sRGB, so a kept source profile needs a container that carries it; PNG
+    // (unlike TIFF) does not also carry the EXIF orientation along. Raw and
+    // PNG hold a single frame, so animations are kept as lossless WebP, which
+    // also carries the delays, the loop count and the profile.
+    const toBase = (pipeline) => {
+        if (animation) return pipeline.webp({ lossless: true, effort: 0 }).toBuffer({ resolveWithObject: true });
+        return metadataPlan.keepSourceProfile
+            ? pipeline.png({ compressionLevel: 0 }).toBuffer({ resolveWithObject: true })
+            : pipeline.raw().toBuffer({ resolveWithObject: true });
+    };
+    const renderFrom = (rendered, { firstFrame = false } = {}) => () => {
+        if (animation) return sharp(rendered.data, { animated: !firstFrame });
+        return metadataPlan.keepSourceProfile
+            ? sharp(rendered.data)
+            : sharp(rendered.data, { raw: { width: rendered.info.width, height: rendered.info.height, channels: rendered.info.channels } });
+    };
+
+    const source = await toBase(imagePipeline.clone());
+    const baseWidth = source.info.width;
+    // Frames are stacked vertically, one `pageHeight` each
+    const baseHeight = source.info.pageHeight || source.info.height;
+    const renderSource = renderFrom(source);
+
+    // The watermark goes on the base, so it scales with every variant
+    const watermark = resolveOverlay(overlay, overlayImage);
+    let base = source;
+    if (watermark) {
+        let marked = await applyOverlay(renderSource(), watermark, { width: baseWidth, height: baseHeight });
+        if (metadataPlan.keepSourceProfile) marked = marked.keepIccProfile();
+        else if (source.info.channels === 3) marked = marked.removeAlpha();
+        base = await toBase(marked);
+    }
+    const renderBase = renderFrom(base);
+    const baseImage = () => metadataPlan.apply(renderBase());
+    // Formats that cannot animate get the first frame
+    const stillImage = () => metadataPlan.apply(renderFrom(base, { firstFrame: true })());
+    // Placeholders may skip the watermark, and are always still
+    const renderPlaceholder = renderFrom(watermark && watermark.lqipFromSource ? source : base, { firstFrame: true });
+
+    const widths = resolveResponsiveWidths(resizeOptions, responsive, baseWidth);
+
+    // Byte budgets per format (target-file-size mode)
+    const budget = (!animation && resizeOptions && resizeOptions.budget) || {};
+    const minQuality = parseInt(budget.minQuality, 10) || defaultMinQuality;
+    const budgetOptions = (format, startQuality) => ({
+        maxBytes: budget[format],
+        startQuality,
+        minQuality,
+        allowDownscale: Boolean(budget.allowDownscale),
+        baseWidth,
+        settings: encoding.settings,
+        signal
+    });
+
+    const result = {
+        originalName: file.originalname,
+        originalSize: file.size,
+        sourceFormat: sourceMetadata.format,
+        width: baseWidth,
+        height: baseHeight,
+        sizes: (resizeOptions && resizeOptions.sizes) || responsive.sizes || '100vw',
+        formats: encoding.formats,
+        quality: {},
+        variants: [],
+        metadata: metadataPlan.report
+    };
+
+    if (resized) {
+        result.fit = resized.fit;
+        if (resized.crop) result.crop = resized.crop;
+    }
+    if (watermark) {
+        result.overlay = { type: watermark.type, position: watermark.position, lqipFromSource: watermark.lqipFromSource };
+    }
+    if (animation) result.animation = animation;
+
+    // Scores compare single frames, so animations are not scored
+    const qualityCheck = animation
+        ? { enabled: false, heatmap: false, targetSsim: null }
+        : resolveMetricsOptions(metrics, resizeOptions);
+    if (qualityCheck.enabled) result.metrics = {};
+    if (qualityCheck.targetSsim) result.autoQuality = { targetSsim: qualityCheck.targetSsim };
+
+    // Source pixels per output width, shared by the scores and the SSIM search
+    const references = new Map();
+    const referenceFor = (width) => {
+        if (!references.has(width)) {
+            references.set(width, readPixels(width === baseWidth ? renderBase() : renderBase().resize({ width })));
+        }
+        return references.get(width);
+    };
+    const scoreOutput = async (outputPath, width) => measure(await referenceFor(width), outputPath);
+
+    // Lowest quality that still reaches the target SSIM at full size
+    const searchQuality = async (format) => {
+        const search = await encodeForSsim(baseImage(), format, await referenceFor(baseWidth), {
+            targetSsim: qualityCheck.targetSsim,
+            minQuality,
+            settings: encoding.settings,
+            signal
+        });
+        result.quality[format] = search.quality;
+        result.autoQuality[format] = { quality: search.quality, ssim: search.metrics.ssim, met: search.met };
+        return search.output;
+    };
+
+    // Encode every format, full size first then every smaller breakpoint
+    for (const width of [baseWidth, ...widths]) {
+        const isBase = width === baseWidth;
+        const suffix = isBase ? '' : `-${width}w`;
+
+        for (const format of encoding.formats) {
+            if (signal && signal.aborted) throw new Error('Cancelled');
+            // A budget may have downscaled the full-size output below this breakpoint
+            if (!isBase && result.budget && result.budget[format] && width >= result.budget[format].width) continue;
+
+            const { lossless } = imageFormats[format];
+            const animated = Boolean(animation && imageFormats[format].animated);
+            const formatImage = animation && !animated ? stillImage() : baseImage();
+            const variantImage = isBase ? formatImage : formatImage.resize({ width });
+            const variantFilename = outputFilename(filename, format, suffix);
+            const variantPath = path.join(outputDir, variantFilename);
+            let info;
+            let encoded = null;
+
+            if (isBase && qualityCheck.targetSsim && !lossless) {
+                encoded = await searchQuality(format);
+            }
+            // A budget still caps the size, starting from the SSIM-picked quality
+            if (isBase && budget[format] && !lossless) {
+                const search = await encodeWithinBudget(baseImage, format, budgetOptions(format, result.quality[format] || quality));
+                encoded = search.output;
+                result.quality[format] = search.quality;
+                result.budget = result.budget || {};
+                result.budget[format] = budgetReport(format, budget, search);
+            }
+
+            if (encoded) {
+                await fs.promises.writeFile(variantPath, encoded.data);
+                info = encoded.info;
+            } else if (animated && format === 'avif') {
+                info = await encodeAnimatedAvif(variantImage, variantPath, {
+                    quality: result.quality[format] || quality,
+                    settings: encoding.settings.avif,
+                    animation,
+                    signal
+                });
+                if (isBase) result.quality[format] = quality;
+            } else {
+                // Smaller breakpoints reuse the quality chosen for the full-size output
+                const variantQuality = result.quality[format] || quality;
+                info = await applyEncoder(variantImage.clone(), format, variantQuality, encoding.settings)
+                    .toFile(variantPath);
+                if (isBase && !lossless) result.quality[format] = variantQuality;
+            }
+
+            const variant = {
+                format,
+                width: info.width,
+                height: info.pageHeight || info.height,
+                url: `${publicPath}/${variantFilename}`,
+                size: info.size
+            };
+            if (animated) variant.animated = true;
+
+            if (qualityCheck.enabled) {
+                const { metrics: scores, candidate } = await scoreOutput(variantPath, info.width);
+                variant.metrics = scores;
+                if (isBase) {
+                    result.metrics[format] = { quality: result.quality[format], ...scores };
+                    if (qualityCheck.heatmap) {
+                        const heatmapFilename = `${filename}-diff-${format}.png`;
+                        await writeHeatmap(await referenceFor(info.width), candidate, path.join(outputDir, heatmapFilename));
+                        result.metrics[format].heatmap = `${publicPath}/${heatmapFilename}`;
+                    }
+                }
+            }
+
+            result.variants.push(variant);
+
+            if (isBase) {
+                result[format] = `${publicPath}/${variantFilename}`;
+                result[`${format}Size`] = info.size;
+            }
+        }
+    }
+
+    // Resized (or JPEG-budgeted) images get a copy in their own format, unless that format is an output
+    const originalFormat = originalFormats[sourceMetadata.format] ? sourceMetadata.format : 'png';
+    const isJpeg = originalFormat === 'jpeg';
+    if ((resized || (isJpeg && budget.jpeg)) && !encoding.formats.includes(originalFormat)) {
+        const sourceExt = path.extname(file.originalname).toLowerCase();
+        const { exts, encode: encodeOriginal } = originalFormats[originalFormat];
+        const ext = exts.includes(sourceExt) ? sourceExt : exts[0];
+        const resizedOriginalFilename = `${filename}_resized${ext}`;
+        const resizedOriginalPath = path.join(outputDir, resizedOriginalFilename);
+
+        if (isJpeg && (budget.jpeg || qualityCheck.targetSsim)) {
+            let encoded = qualityCheck.targetSsim ? await searchQuality('jpeg') : null;
+            if (budget.jpeg) {
+                const search = await encodeWithinBudget(baseImage, 'jpeg', budgetOptions('jpeg', result.quality.jpeg || quality));
+                encoded = search.output;
+                result.quality.jpeg = search.quality;
+                result.budget = result.budget || {};
+                result.budget.jpeg = budgetReport('jpeg', budget, search);
+            }
+            await fs.promises.writeFile(resizedOriginalPath, encoded.data);
+        } else {
+            await encodeOriginal(baseImage(), quality).toFile(resizedOriginalPath);
+            if (isJpeg) result.quality.jpeg = quality;
+        }
+
+        const resizedStats = fs.statSync(resizedOriginalPath);
+        result.resizedOriginal = `${publicPath}/${resizedOriginalFilename}`;
+        result.resizedOriginalSize = resizedStats.size;
+
+        if (qualityCheck.enabled && (isJpeg || originalFormat === 'png')) {
+            const { width } = await sharp(resizedOriginalPath).metadata();
+            const { metrics: scores } = await scoreOutput(resizedOriginalPath, width);
+            result.metrics[originalFormat] = { quality: isJpeg ? result.quality.jpeg : quality, ...scores };
+        }
+    }
+
+    // Generate LQIP (never carries metadata)
+    const lqipBuffer = await renderPlaceholder()
+        .resize({ width: 20, fit: 'inside' })
+        .blur(1)
+        .jpeg({ quality: 20, mozjpeg: true })
+        .toBuffer();
+
+    result.lqip = `data:image/jpeg;base64,${lqipBuffer.toString('base64')}`;
+
+    const placeholderTypes = resolvePlaceholderTypes(placeholders);
+    if (placeholderTypes.length > 0) {
+        result.placeholders = await createPlaceholders(renderPlaceholder(), placeholderTypes, { width: baseWidth, height: baseHeight });
+    }
+
+    return result;
+}
+
+module.exports = {
+    breakpointPresets,
+    fitModes,
+    openImage,
+    resolveResponsiveWidths,
+    applyResize,
+    validateBudget,
+    processImage
+};
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// How long finished jobs stay queryable before they are forgotten
+const jobRetentionMs = Number(process.env.ANVL_JOB_RETENTION_MINUTES || 30) * 60 * 1000;
+
+// Caps how many files are encoded at once, per engine
+function createLimiter(concurrency) {
+    const limit = Math.max(1, Number(concurrency) || 1);
+    const waiting = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= limit || waiting.length === 0) return;
+        active += 1;
+        const { task, resolve, reject } = waiting.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active -= 1;
+                next();
+            });
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+    });
+}
+
+const limiters = {
+    sharp: createLimiter(process.env.ANVL_SHARP_CONCURRENCY || 2),
+    ffmpeg: createLimiter(process.env.ANVL_FFMPEG_CONCURRENCY || 2)
+};
+
+const jobs = new Map();
+
+function serializeFile(entry) {
+    return {
+        index: entry.index,
+        originalName: entry.originalName,
+        status: entry.status,
+        progress: entry.progress,
+        result: entry.result,
+        error: entry.error
+    };
+}
+
+function serializeJob(job) {
+    const counts = { queued: 0, processing: 0, done: 0, error: 0, cancelled: 0 };
+    job.files.forEach(entry => { counts[entry.status] += 1; });
+
+    return {
+        jobId: job.id,
+        type: job.type,
+        status: job.status,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        output: job.output,
+        counts,
+        files: job.files.map(serializeFile)
+    };
+}
+
+/**
+ * Queues one task per item and returns the job immediately.
+ * `worker(item, { signal, onProgress })` resolves to the file result; a
+ * rejection only fails that file. `output` (where the files land) is echoed
+ * in every snapshot. `lookup(item)` may resolve to a finished result (e.g. a
+ * cache hit), which skips the engine queue entirely. `prepare(item, { signal,
+ * onStart })` runs before anything else (e.g. downloads the item), outside
+ * the engine queue; `onStart` shows the file as processing meanwhile, and a
+ * rejection fails that file.
+ */
+function createJob({ type, engine, items, worker, lookup, prepare, onFinish, output = null }) {
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        output,
+        status: 'running',
+        createdAt: Date.now(),
+        finishedAt: null,
+        controller: new AbortController(),
+        events: new EventEmitter(),
+        files: items.map((item, index) => ({
+            index,
+            originalName: item.originalName || item.originalname,
+            status: 'queued',
+            progress: 0,
+            result: null,
+            error: null
+        }))
+    };
+    job.events.setMaxListeners(0);
+    jobs.set(job.id, job);
+
+    const update = (entry, changes) => {
+        Object.assign(entry, changes);
+        job.events.emit('file', serializeFile(entry));
+    };
+
+    const runLimited = limiters[engine] || limiters.sharp;
+    const lookupResult = async (item) => {
+        if (!lookup) return null;
+        try {
+            return await lookup(item);
+        } catch (error) {
+            console.error(`Job ${job.id} lookup failed:`, error);
+            return null;
+        }
+    };
+
+    const prepareItem = async (item, entry) => {
+        if (!prepare) return true;
+        if (job.controller.signal.aborted) {
+            update(entry, { status: 'cancelled' });
+            return false;
+        }
+        try {
+            await prepare(item, {
+                signal: job.controller.signal,
+                onStart: () => update(entry, { status: 'processing' })
+            });
+            if (entry.status === 'processing') update(entry, { status: 'queued' });
+            return true;
+        } catch (error) {
+            if (job.controller.signal.aborted) {
+                update(entry, { status: 'cancelled' });
+            } else {
+                console.error(`Job ${job.id} could not prepare ${entry.originalName}:`, error);
+                update(entry, { status: 'error', error: error.message || 'Preparing failed' });
+            }
+            return false;
+        }
+    };
+
+    const tasks = items.map((item, index) => prepareItem(item, job.files[index]).then(async (ready) => {
+        if (!ready) return null;
+        const hit = await lookupResult(item);
+        const entry = job.files[index];
+        if (hit && !job.controller.signal.aborted) {
+            update(entry, { status: 'done', progress: 100, result: hit });
+            return null;
+        }
+        return runLimited(() => runTask(item, entry));
+    }));
+
+    async function runTask(item, entry) {
+        if (job.controller.signal.aborted) {
+            update(entry, { status: 'cancelled' });
+            return;
+        }
+
+        update(entry, { status: 'processing' });
+        try {
+            const result = await worker(item, {
+                signal: job.controller.signal,
+                onProgress: (progress) => {
+                    const rounded = Math.round(progress);
+                    if (rounded !== entry.progress) update(entry, { progress: rounded });
+                }
+            });
+
+            if (job.controller.signal.aborted) {
+                update(entry, { status: 'cancelled' });
+            } else {
+                update(entry, { status: 'done', progress: 100, result });
+            }
+        } catch (error) {
+            if (job.controller.signal.aborted) {
+                update(entry, { status: 'cancelled' });
+            } else {
+                console.error(`Job ${job.id} failed on ${entry.originalName}:`, error);
+                update(entry, { status: 'error', error: error.message || 'Processing failed' });
+            }
+        }
+    }
+
+    Promise.allSettled(tasks).then(async () => {
+        if (onFinish) {
+            try {
+                await onFinish(job);
+            } catch (error) {
+                console.error(`Job ${job.id} cleanup failed:`, error);
+            }
+        }
+
+        job.status = job.controller.signal.aborted ? 'cancelled' : 'done';
+        job.finishedAt = Date.now();
+        job.events.emit('done', serializeJob(job));
+
+        setTimeout(() => jobs.delete(job.id), jobRetentionMs).unref();
+    });
+
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+// The `output` of every job still running, e.g. so its batch is not swept away
+function runningOutputs() {
+    return [...jobs.values()].filter(job => job.status === 'running' && job.output).map(job => job.output);
+}
+
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (job.status === 'running') job.controller.abort();
+    return job;
+}
+
+module.exports = {
+    createLimiter,
+    createJob,
+    getJob,
+    runningOutputs,
+    cancelJob,
+    serializeJob
+};
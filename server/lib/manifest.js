@@ -0,0 +1,285 @@
+const path = require('path');
+const fs = require('fs');
+const { hashFile } = require('./cache');
+const { outputStem } = require('./files');
+
+const manifestFilename = 'manifest.json';
+const manifestVersion = 1;
+const archiveLayouts = ['flat', 'format', 'source'];
+
+// Where snippets expect the files to be served from
+const snippetRoots = {
+    images: '/img',
+    audio: '/audio',
+    video: '/video'
+};
+
+const imageMimeTypes = {
+    avif: 'image/avif',
+    webp: 'image/webp',
+    webpLossless: 'image/webp'
+};
+
+const audioMimeTypes = {
+    mp3: 'audio/mpeg',
+    opus: 'audio/webm; codecs=opus',
+    aac: 'audio/mp4',
+    ogg: 'audio/ogg'
+};
+
+function formatOf(url) {
+    const ext = path.extname(url).slice(1).toLowerCase();
+    return ext === 'jpg' ? 'jpeg' : ext;
+}
+
+function escapeAttribute(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+// Every file a result links to, with what the result already knows about it
+function resultOutputs(type, result) {
+    const outputs = [];
+    const add = (url, details = {}) => {
+        if (url) outputs.push({ url, format: formatOf(url), ...details });
+    };
+
+    if (type === 'images') {
+        result.variants.forEach(variant => add(variant.url, { role: 'variant', format: variant.format, width: variant.width, height: variant.height }));
+        add(result.resizedOriginal, { role: 'original', width: result.width, height: result.height });
+        Object.values(result.metrics || {}).forEach(score => add(score.heatmap, { role: 'heatmap' }));
+    } else if (type === 'audio') {
+        (result.formats || []).forEach(format => add(result[format], { role: 'audio', format }));
+        if (result.coverArt && result.coverArt.url) {
+            add(result.coverArt.url, { role: 'cover', width: result.coverArt.width, height: result.coverArt.height });
+        }
+        ['waveform', 'spectrogram'].forEach(role => {
+            if (!result[role]) return;
+            add(result[role].source, { role: `${role}-source` });
+            add(result[role].output, { role });
+        });
+    } else if (type === 'video') {
+        ['mp4', 'webm'].forEach(format => add(result[format], { role: 'video', width: result.width, height: result.height }));
+        if (result.poster) {
+            ['avif', 'webp'].forEach(format => add(result.poster[format], { role: 'poster', width: result.width, height: result.height }));
+        }
+    } else if (type === 'icons') {
+        result.files.forEach(file => add(file.url, { role: file.purpose ? `icon-${file.purpose}` : 'icon', width: file.width, height: file.height }));
+        add(result.zip, { role: 'archive' });
+    }
+
+    return outputs;
+}
+
+function resultPlaceholders(type, result) {
+    if (type === 'images') return { lqip: result.lqip, ...(result.placeholders || {}) };
+    if (type === 'video' && result.poster) return { lqip: result.poster.lqip };
+    return null;
+}
+
+// The markup for a result, with files under `snippetRoots`; the app's copy
+// buttons use it too (`result.snippet`)
+function resultSnippet(type, result) {
+    const root = snippetRoots[type];
+    const fileName = (url) => `${root}/${path.posix.basename(url)}`;
+
+    if (type === 'images') {
+        const srcset = (format) => result.variants
+            .filter(variant => variant.format === format)
+            .sort((a, b) => a.width - b.width)
+            .map(variant => `${fileName(variant.url)} ${variant.width}w`)
+            .join(', ');
+        const formats = result.formats || ['avif', 'webp'];
+        // A JPEG or PNG output makes the <img> fallback, else the resized or uploaded original
+        const fallbackFormat = ['jpeg', 'png'].find(format => formats.includes(format));
+        const fallback = fallbackFormat ? fileName(result[fallbackFormat])
+            : result.resizedOriginal ? fileName(result.resizedOriginal) : `${root}/${result.originalName}`;
+        const fallbackSrcset = fallbackFormat && result.variants.some(variant => variant.format === fallbackFormat && variant.width < result.width)
+            ? ` srcset="${srcset(fallbackFormat)}" sizes="${escapeAttribute(result.sizes)}"` : '';
+        const background = result.placeholders && result.placeholders.dominantColor
+            ? `background-color: ${result.placeholders.dominantColor}; ` : '';
+        return [
+            '<picture>',
+            ...formats
+                // Lossless WebP only stands in when there is no lossy WebP
+                .filter(format => imageMimeTypes[format] && !(format === 'webpLossless' && formats.includes('webp')))
+                .map(format => `  <source type="${imageMimeTypes[format]}" srcset="${srcset(format)}" sizes="${escapeAttribute(result.sizes)}" />`),
+            `  <img src="${escapeAttribute(fallback)}"${fallbackSrcset} width="${result.width}" height="${result.height}" alt="" loading="lazy" decoding="async" style="${background}background-size: cover; background-image: url('${result.lqip}')" />`,
+            '</picture>'
+        ].join('\n');
+    }
+
+    if (type === 'audio') {
+        const sources = (result.formats || [])
+            .filter(format => result[format])
+            .map(format => `  <source src="${fileName(result[format])}" type="${audioMimeTypes[format]}" />`);
+        return ['<audio controls preload="metadata">', ...sources, '</audio>'].join('\n');
+    }
+
+    if (type === 'video') {
+        const sources = [
+            result.webm && `  <source src="${fileName(result.webm)}" type="video/webm; codecs=${result.webmCodec}" />`,
+            result.mp4 && `  <source src="${fileName(result.mp4)}" type="video/mp4" />`
+        ].filter(Boolean);
+        const poster = result.poster ? ` poster="${fileName(result.poster.webp)}" style="background-size: cover; background-image: url('${result.poster.lqip}')"` : '';
+        return [`<video controls playsinline preload="metadata" width="${result.width}" height="${result.height}"${poster}>`, ...sources, '</video>'].join('\n');
+    }
+
+    if (type === 'icons') return result.html;
+    return null;
+}
+
+/**
+ * Writes `manifest.json` into a finished batch: for every source its status
+ * and outputs (path inside the batch, URL, format, role, dimensions, byte
+ * size and SHA-256), its placeholders and an HTML snippet. `job` is a
+ * serialized job snapshot. Resolves to the manifest.
+ */
+async function writeManifest(job, { outputDir, publicPath }) {
+    const sources = [];
+
+    for (const entry of job.files) {
+        const source = { source: entry.originalName, status: entry.status };
+        if (entry.error) source.error = entry.error;
+
+        if (entry.status === 'done' && entry.result) {
+            source.outputs = [];
+            for (const output of resultOutputs(job.type, entry.result)) {
+                if (!output.url.startsWith(`${publicPath}/`)) continue;
+                const relativePath = output.url.slice(publicPath.length + 1);
+                const filePath = path.join(outputDir, ...relativePath.split('/'));
+                const stat = await fs.promises.stat(filePath).catch(() => null);
+                if (!stat || !stat.isFile()) continue;
+
+                source.outputs.push({
+                    path: relativePath,
+                    ...output,
+                    size: stat.size,
+                    sha256: await hashFile(filePath)
+                });
+            }
+            const placeholders = resultPlaceholders(job.type, entry.result);
+            if (placeholders) source.placeholders = placeholders;
+            source.snippet = resultSnippet(job.type, entry.result);
+        }
+
+        sources.push(source);
+    }
+
+    const manifest = {
+        version: manifestVersion,
+        jobId: job.jobId,
+        type: job.type,
+        createdAt: new Date(job.createdAt).toISOString(),
+        publicPath,
+        sources
+    };
+    await fs.promises.writeFile(path.join(outputDir, manifestFilename), `${JSON.stringify(manifest, null, 2)}\n`);
+    return manifest;
+}
+
+async function readManifest(outputDir) {
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(outputDir, manifestFilename), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+// Unique entry names, compared case-insensitively like the file systems that unzip them
+function uniqueEntryName(candidate, taken) {
+    const dir = path.posix.dirname(candidate);
+    const ext = path.posix.extname(candidate);
+    const stem = path.posix.basename(candidate, ext);
+    let name = candidate;
+    for (let suffix = 2; taken.has(name.toLowerCase()); suffix += 1) {
+        name = path.posix.join(dir, `${stem}-${suffix}${ext}`);
+    }
+    taken.add(name.toLowerCase());
+    return name;
+}
+
+/**
+ * Plans a ZIP of processed files. `files` are `{ path, name, batchDir,
+ * batchPath }` (the batch folder and the path inside it); the manifests of
+ * those batches say which source and format each one belongs to. `layout` is
+ * `flat` (everything at the root), `format` (`avif/`, `webp/`, ...) or
+ * `source` (one folder per source file). Resolves to `{ entries, manifest }`,
+ * where `entries` are `{ path, name }` and `manifest` lists the sources of
+ * the archived files with their paths inside the archive.
+ */
+async function planArchive(files, { layout = 'flat' } = {}) {
+    const manifests = new Map();
+    const manifestFor = async (batchDir) => {
+        if (!batchDir) return null;
+        if (!manifests.has(batchDir)) manifests.set(batchDir, await readManifest(batchDir));
+        return manifests.get(batchDir);
+    };
+
+    const taken = new Set([manifestFilename]);
+    const sources = new Map();
+    const sourceFolders = new Map();
+    const entries = [];
+
+    for (const file of files) {
+        const manifest = await manifestFor(file.batchDir);
+        let owner = null;
+        let output = null;
+        let sourceKey = null;
+        if (manifest) {
+            for (const [index, source] of manifest.sources.entries()) {
+                output = (source.outputs || []).find(candidate => candidate.path === file.batchPath);
+                if (output) {
+                    owner = source;
+                    // Sources are told apart by position, as two uploads may share a name
+                    sourceKey = `${file.batchDir}\0${index}`;
+                    break;
+                }
+            }
+        }
+
+        let folder = '';
+        if (layout === 'format') {
+            folder = output ? output.format : formatOf(file.name) || 'other';
+        } else if (layout === 'source') {
+            if (!sourceKey) {
+                folder = 'other';
+            } else {
+                if (!sourceFolders.has(sourceKey)) {
+                    sourceFolders.set(sourceKey, uniqueEntryName(outputStem(owner.source) || 'source', taken));
+                }
+                folder = sourceFolders.get(sourceKey);
+            }
+        }
+
+        const name = uniqueEntryName(folder ? `${folder}/${file.name}` : file.name, taken);
+        entries.push({ path: file.path, name });
+
+        if (owner) {
+            if (!sources.has(sourceKey)) {
+                const { outputs, ...details } = owner;
+                sources.set(sourceKey, { ...details, outputs: [] });
+            }
+            sources.get(sourceKey).outputs.push({ ...output, path: name });
+        }
+    }
+
+    return {
+        entries,
+        manifest: {
+            version: manifestVersion,
+            layout,
+            createdAt: new Date().toISOString(),
+            sources: [...sources.values()]
+        }
+    };
+}
+
+module.exports = {
+    manifestFilename,
+    archiveLayouts,
+    resultOutputs,
+    resultSnippet,
+    writeManifest,
+    readManifest,
+    planArchive
+};
@@ -0,0 +1,251 @@
+const sharp = require('sharp');
+
+// Tags worth reporting; everything else is only counted
+const tagNames = {
+    ifd0: {
+        0x010e: 'ImageDescription',
+        0x010f: 'Make',
+        0x0110: 'Model',
+        0x0112: 'Orientation',
+        0x0131: 'Software',
+        0x0132: 'DateTime',
+        0x013b: 'Artist',
+        0x8298: 'Copyright'
+    },
+    exif: {
+        0x9003: 'DateTimeOriginal',
+        0x9004: 'DateTimeDigitized',
+        0xa430: 'CameraOwnerName',
+        0xa431: 'BodySerialNumber',
+        0xa433: 'LensMake',
+        0xa434: 'LensModel'
+    },
+    gps: {
+        0x0001: 'GPSLatitudeRef',
+        0x0002: 'GPSLatitude',
+        0x0003: 'GPSLongitudeRef',
+        0x0004: 'GPSLongitude',
+        0x0005: 'GPSAltitudeRef',
+        0x0006: 'GPSAltitude',
+        0x001d: 'GPSDateStamp'
+    }
+};
+
+const exifPointer = 0x8769;
+const gpsPointer = 0x8825;
+const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function readIfd(tiff, offset, littleEndian, names) {
+    const u16 = (at) => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+    const u32 = (at) => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+    const i32 = (at) => (littleEndian ? tiff.readInt32LE(at) : tiff.readInt32BE(at));
+
+    const tags = {};
+    const pointers = {};
+    let count = 0;
+    if (offset + 2 > tiff.length) return { tags, pointers, count };
+
+    const entries = u16(offset);
+    for (let i = 0; i < entries; i += 1) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > tiff.length) break;
+
+        const tag = u16(entry);
+        const type = u16(entry + 2);
+        const length = u32(entry + 4);
+        count += 1;
+
+        if (tag === exifPointer || tag === gpsPointer) {
+            pointers[tag] = u32(entry + 8);
+            continue;
+        }
+
+        const name = names[tag];
+        const size = (typeSizes[type] || 1) * length;
+        const valueAt = size <= 4 ? entry + 8 : u32(entry + 8);
+        if (!name || valueAt + size > tiff.length) continue;
+
+        if (type === 2) {
+            tags[name] = tiff.toString('latin1', valueAt, valueAt + size).replace(/\0+$/, '').trim();
+        } else if (type === 3) {
+            tags[name] = length === 1 ? u16(valueAt) : Array.from({ length }, (_, n) => u16(valueAt + n * 2));
+        } else if (type === 5 || type === 10) {
+            const read = type === 5 ? u32 : i32;
+            const values = Array.from({ length }, (_, n) => {
+                const denominator = read(valueAt + n * 8 + 4);
+                return denominator ? read(valueAt + n * 8) / denominator : 0;
+            });
+            tags[name] = length === 1 ? values[0] : values;
+        } else if (type === 1 || type === 7) {
+            tags[name] = length === 1 ? tiff[valueAt] : [...tiff.subarray(valueAt, valueAt + size)];
+        } else {
+            tags[name] = length === 1 ? u32(valueAt) : Array.from({ length }, (_, n) => u32(valueAt + n * 4));
+        }
+    }
+
+    return { tags, pointers, count };
+}
+
+/**
+ * Minimal EXIF reader for the blob sharp exposes as `metadata().exif`:
+ * IFD0, the Exif sub-IFD and the GPS IFD, known tags only.
+ */
+function parseExif(buffer) {
+    if (!buffer || buffer.length < 14) return null;
+
+    const tiff = buffer.toString('latin1', 0, 6) === 'Exif\0\0' ? buffer.subarray(6) : buffer;
+    const order = tiff.toString('latin1', 0, 2);
+    if (order !== 'II' && order !== 'MM') return null;
+    const littleEndian = order === 'II';
+
+    try {
+        const ifd0 = readIfd(tiff, littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), littleEndian, tagNames.ifd0);
+        const exif = ifd0.pointers[exifPointer] ? readIfd(tiff, ifd0.pointers[exifPointer], littleEndian, tagNames.exif) : null;
+        const gps = ifd0.pointers[gpsPointer] ? readIfd(tiff, ifd0.pointers[gpsPointer], littleEndian, tagNames.gps) : null;
+
+        return {
+            ifd0: ifd0.tags,
+            exif: exif ? exif.tags : {},
+            gps: gps ? gps.tags : null,
+            tagCount: ifd0.count + (exif ? exif.count : 0) + (gps ? gps.count : 0)
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+function toDegrees(value, ref) {
+    if (!Array.isArray(value) || value.length < 3) return null;
+    const degrees = value[0] + value[1] / 60 + value[2] / 3600;
+    const signed = ref === 'S' || ref === 'W' ? -degrees : degrees;
+    return Math.round(signed * 1e6) / 1e6;
+}
+
+function gpsPosition(gps) {
+    if (!gps) return null;
+    const position = {
+        latitude: toDegrees(gps.GPSLatitude, gps.GPSLatitudeRef),
+        longitude: toDegrees(gps.GPSLongitude, gps.GPSLongitudeRef)
+    };
+    if (typeof gps.GPSAltitude === 'number') {
+        position.altitude = gps.GPSAltitudeRef === 1 ? -gps.GPSAltitude : gps.GPSAltitude;
+    }
+    return position;
+}
+
+// Reads the profile description ('desc' tag, v2 text or v4 'mluc')
+function describeIcc(buffer) {
+    if (!buffer || buffer.length < 132) return null;
+
+    try {
+        const tagCount = buffer.readUInt32BE(128);
+        for (let i = 0; i < tagCount; i += 1) {
+            const entry = 132 + i * 12;
+            if (buffer.toString('latin1', entry, entry + 4) !== 'desc') continue;
+
+            const offset = buffer.readUInt32BE(entry + 4);
+            const type = buffer.toString('latin1', offset, offset + 4);
+            if (type === 'desc') {
+                const length = buffer.readUInt32BE(offset + 8);
+                return buffer.toString('latin1', offset + 12, offset + 12 + length).replace(/\0+$/, '');
+            }
+            if (type === 'mluc') {
+                const recordLength = buffer.readUInt32BE(offset + 20);
+                const recordOffset = buffer.readUInt32BE(offset + 24);
+                const text = buffer.subarray(offset + recordOffset, offset + recordOffset + recordLength);
+                return Buffer.from(text).swap16().toString('utf16le').replace(/\0+$/, '');
+            }
+        }
+    } catch (error) {
+        return null;
+    }
+    return null;
+}
+
+const policyDefaults = { autoOrient: true, keep: 'none', toSrgb: true };
+
+// Normalizes the batch-wide `metadata` field of /process-images
+function resolveMetadataPolicy(options = {}) {
+    return {
+        autoOrient: options.autoOrient !== undefined ? Boolean(options.autoOrient) : policyDefaults.autoOrient,
+        keep: options.keep === 'copyright-icc' ? 'copyright-icc' : policyDefaults.keep,
+        toSrgb: options.toSrgb !== undefined ? Boolean(options.toSrgb) : policyDefaults.toSrgb
+    };
+}
+
+/**
+ * Inspects `input` and decides what its outputs carry under `policy`.
+ * `apply(image)` sets the output metadata on a sharp instance; `report` lists
+ * what was found, kept and removed.
+ */
+async function planMetadata(input, policy) {
+    const metadata = await sharp(input).metadata();
+    const exif = parseExif(metadata.exif);
+    const iccDescription = describeIcc(metadata.icc);
+    const gps = exif ? gpsPosition(exif.gps) : null;
+
+    const found = {
+        orientation: metadata.orientation || null,
+        exif: exif ? { ...exif.ifd0, ...exif.exif } : null,
+        exifTagCount: exif ? exif.tagCount : 0,
+        gps,
+        icc: metadata.icc ? { description: iccDescription } : null,
+        xmp: Boolean(metadata.xmp),
+        iptc: Boolean(metadata.iptc)
+    };
+
+    const copyright = {};
+    if (exif && exif.ifd0.Copyright) copyright.Copyright = exif.ifd0.Copyright;
+    if (exif && exif.ifd0.Artist) copyright.Artist = exif.ifd0.Artist;
+
+    const keepCopyright = policy.keep === 'copyright-icc' && Object.keys(copyright).length > 0;
+    // Without the sRGB conversion the pixels stay in the source space, so the profile must travel with them
+    const keepSourceProfile = Boolean(metadata.icc) && !policy.toSrgb;
+    const attachSrgb = Boolean(metadata.icc) && policy.toSrgb && policy.keep === 'copyright-icc';
+
+    const kept = [];
+    const removed = [];
+    if (found.exif) {
+        if (keepCopyright) kept.push(...Object.keys(copyright));
+        removed.push(keepCopyright ? `exif (except ${kept.join(', ')})` : 'exif');
+    }
+    if (gps) removed.push('gps');
+    if (found.xmp) removed.push('xmp');
+    if (found.iptc) removed.push('iptc');
+    if (metadata.icc) {
+        if (keepSourceProfile) kept.push(`icc (${iccDescription || 'source profile'})`);
+        else if (attachSrgb) kept.push('icc (sRGB)');
+        else removed.push('icc');
+    }
+
+    const report = {
+        policy,
+        found,
+        kept,
+        removed,
+        orientation: found.orientation && found.orientation !== 1
+            ? { value: found.orientation, applied: policy.autoOrient }
+            : null,
+        colorProfile: metadata.icc
+            ? { source: iccDescription || 'embedded', output: keepSourceProfile ? iccDescription || 'source profile' : 'sRGB', converted: policy.toSrgb }
+            : null
+    };
+
+    return {
+        keepSourceProfile,
+        report,
+        apply(image) {
+            if (keepSourceProfile) image.keepIccProfile();
+            else if (attachSrgb) image.withIccProfile('srgb');
+            if (keepCopyright) image.withExif({ IFD0: copyright });
+            return image;
+        }
+    };
+}
+
+module.exports = {
+    parseExif,
+    describeIcc,
+    resolveMetadataPolicy,
+    planMetadata
+};
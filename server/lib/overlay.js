@@ -0,0 +1,118 @@
+const sharp = require('sharp');
+const { limits } = require('./files');
+
+const overlayPositions = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center', 'tiled'];
+const defaultOverlay = {
+    position: 'bottom-right',
+    margin: 24,
+    opacity: 0.5,
+    scale: 0.2,
+    color: '#ffffff',
+    font: 'sans bold'
+};
+const maxTextLength = 200;
+// Text is rendered large, then scaled down to its share of the output width
+const textDpi = 600;
+
+function clamp(value, min, max, fallback) {
+    const number = Number(value);
+    if (value === undefined || value === null || value === '' || !Number.isFinite(number)) return fallback;
+    return Math.min(max, Math.max(min, number));
+}
+
+function escapeMarkup(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Normalizes a batch `overlay` spec: an uploaded image (`imagePath`) or
+ * `text`, plus `position`, `margin` (px at full size), `opacity` (0-1) and
+ * `scale` (share of the output width). Returns null when there is nothing
+ * to draw. `lqipFromSource` builds the placeholders from the clean image.
+ */
+function resolveOverlay(spec, imagePath) {
+    if (!spec || typeof spec !== 'object') return null;
+    const text = typeof spec.text === 'string' ? spec.text.trim().slice(0, maxTextLength) : '';
+    if (!imagePath && !text) return null;
+
+    return {
+        type: imagePath ? 'image' : 'text',
+        imagePath: imagePath || null,
+        text: imagePath ? null : text,
+        color: /^#[0-9a-f]{6}$/i.test(spec.color) ? spec.color : defaultOverlay.color,
+        font: /^[\w\s,-]{1,60}$/.test(spec.font || '') ? spec.font : defaultOverlay.font,
+        position: overlayPositions.includes(spec.position) ? spec.position : defaultOverlay.position,
+        margin: Math.round(clamp(spec.margin, 0, 1000, defaultOverlay.margin)),
+        opacity: clamp(spec.opacity, 0, 1, defaultOverlay.opacity),
+        scale: clamp(spec.scale, 0.01, 1, defaultOverlay.scale),
+        lqipFromSource: Boolean(spec.lqipFromSource)
+    };
+}
+
+// The mark at its final size, with the opacity folded into its alpha channel
+async function renderMark(overlay, maxWidth, maxHeight) {
+    const source = overlay.type === 'image'
+        ? sharp(overlay.imagePath, { limitInputPixels: limits.maxPixels }).autoOrient()
+        : sharp({
+            text: {
+                text: `<span foreground="${overlay.color}">${escapeMarkup(overlay.text)}</span>`,
+                font: overlay.font,
+                dpi: textDpi,
+                rgba: true
+            }
+        });
+
+    // sharp runs `linear` before `ensureAlpha`, hence the two passes
+    const { data, info } = await source
+        .ensureAlpha()
+        .resize({ width: maxWidth, height: maxHeight, fit: 'inside' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+        .linear([1, 1, 1, overlay.opacity], [0, 0, 0, 0])
+        .png()
+        .toBuffer({ resolveWithObject: true });
+}
+
+function placement(position, canvas, mark, margin) {
+    const horizontal = position.endsWith('left') ? margin
+        : position.endsWith('right') ? canvas.width - mark.width - margin
+            : (canvas.width - mark.width) / 2;
+    const vertical = position.startsWith('top') ? margin
+        : position.startsWith('bottom') ? canvas.height - mark.height - margin
+            : (canvas.height - mark.height) / 2;
+    return {
+        left: Math.round(clamp(horizontal, 0, canvas.width - mark.width, 0)),
+        top: Math.round(clamp(vertical, 0, canvas.height - mark.height, 0))
+    };
+}
+
+/**
+ * Adds the overlay to `image` (a sharp instance of `width` x `height`
+ * pixels). Tiled marks repeat across the image, `margin` apart.
+ */
+async function applyOverlay(image, overlay, { width, height }) {
+    const tiled = overlay.position === 'tiled';
+    const room = tiled ? 0 : overlay.margin * 2;
+    const mark = await renderMark(
+        overlay,
+        Math.max(1, Math.min(width - room, Math.round(width * overlay.scale))),
+        Math.max(1, height - room)
+    );
+
+    if (tiled) {
+        const tile = await sharp(mark.data)
+            .extend({ right: overlay.margin, bottom: overlay.margin, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+            .png()
+            .toBuffer();
+        return image.composite([{ input: tile, tile: true, gravity: 'northwest' }]);
+    }
+
+    return image.composite([{ input: mark.data, ...placement(overlay.position, { width, height }, mark.info, overlay.margin) }]);
+}
+
+module.exports = {
+    overlayPositions,
+    resolveOverlay,
+    applyOverlay
+};
@@ -0,0 +1,87 @@
+const { encode: encodeBlurhash } = require('blurhash');
+
+// Extras a batch can ask for; the blurred JPEG `lqip` is always produced
+const placeholderTypes = ['blurhash', 'thumbhash', 'color', 'svg'];
+
+// thumbhash only ships as an ES module
+let thumbhash = null;
+function loadThumbhash() {
+    if (!thumbhash) thumbhash = import('thumbhash');
+    return thumbhash;
+}
+
+function resolvePlaceholderTypes(value) {
+    const requested = Array.isArray(value) ? value : [];
+    return placeholderTypes.filter(type => requested.includes(type));
+}
+
+function toHex({ r, g, b }) {
+    return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+async function rgbaPixels(image, maxSize) {
+    const { data, info } = await image.clone()
+        .resize({ width: maxSize, height: maxSize, fit: 'inside' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+}
+
+// 4x3 components (3x4 for portrait) is the usual BlurHash trade-off
+async function blurhashOf(image) {
+    const { data, width, height } = await rgbaPixels(image, 32);
+    const landscape = width >= height;
+    return encodeBlurhash(new Uint8ClampedArray(data), width, height, landscape ? 4 : 3, landscape ? 3 : 4);
+}
+
+async function thumbhashOf(image) {
+    const { rgbaToThumbHash } = await loadThumbhash();
+    const { data, width, height } = await rgbaPixels(image, 100);
+    return Buffer.from(rgbaToThumbHash(width, height, data)).toString('base64');
+}
+
+/**
+ * A few blurred color cells scaled up to the image size: small enough to
+ * inline, and it keeps the rough layout of the image unlike a flat color.
+ */
+async function svgOf(image, width, height) {
+    const grid = await rgbaPixels(image, 8);
+    const cellWidth = width / grid.width;
+    const cellHeight = height / grid.height;
+    const rects = [];
+    for (let y = 0; y < grid.height; y += 1) {
+        for (let x = 0; x < grid.width; x += 1) {
+            const p = (y * grid.width + x) * 4;
+            const fill = toHex({ r: grid.data[p], g: grid.data[p + 1], b: grid.data[p + 2] });
+            rects.push(`<rect x="${(x * cellWidth).toFixed(1)}" y="${(y * cellHeight).toFixed(1)}" width="${Math.ceil(cellWidth) + 1}" height="${Math.ceil(cellHeight) + 1}" fill="${fill}"/>`);
+        }
+    }
+    const blur = (Math.max(cellWidth, cellHeight) / 2).toFixed(1);
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">`
+        + `<filter id="b" x="0" y="0" width="100%" height="100%"><feGaussianBlur stdDeviation="${blur}" edgeMode="duplicate"/></filter>`
+        + `<g filter="url(#b)">${rects.join('')}</g></svg>`;
+}
+
+/**
+ * Builds the requested placeholders from `image` (a sharp instance of the
+ * final, metadata-free pixels). Resolves to
+ * `{ blurhash?, thumbhash?, dominantColor?, svg? }`.
+ */
+async function createPlaceholders(image, types, { width, height }) {
+    const placeholders = {};
+    if (types.includes('blurhash')) placeholders.blurhash = await blurhashOf(image);
+    if (types.includes('thumbhash')) placeholders.thumbhash = await thumbhashOf(image);
+    if (types.includes('color')) {
+        const { dominant } = await image.clone().stats();
+        placeholders.dominantColor = toHex(dominant);
+    }
+    if (types.includes('svg')) placeholders.svg = await svgOf(image, width, height);
+    return placeholders;
+}
+
+module.exports = {
+    placeholderTypes,
+    resolvePlaceholderTypes,
+    createPlaceholders
+};
@@ -0,0 +1,124 @@
+const path = require('path');
+const fs = require('fs');
+
+// Local JSON store shared by everyone who uses this server
+const presetsFile = process.env.ANVL_PRESETS_FILE || path.join(__dirname, '..', 'data', 'presets.json');
+const presetTypes = new Set(['image', 'audio']);
+const presetNamePattern = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+
+let presets = null;
+let writeQueue = Promise.resolve();
+
+function loadPresets() {
+    if (presets) return presets;
+
+    presets = new Map();
+    try {
+        const stored = JSON.parse(fs.readFileSync(presetsFile, 'utf8'));
+        (Array.isArray(stored) ? stored : []).forEach(preset => presets.set(preset.name, preset));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`Could not read presets from ${presetsFile}:`, error);
+    }
+    return presets;
+}
+
+/**
+ * Applies `change` to a copy of the store and writes it out, one write at a
+ * time. The in-memory store only takes the copy once it is on disk, so a
+ * failed write changes nothing and the next one starts afresh. Resolves to
+ * what `change` returns.
+ */
+function updatePresets(change) {
+    const update = writeQueue.catch(() => {}).then(async () => {
+        const next = new Map(loadPresets());
+        const result = change(next);
+        // A temp file first, so a crash never leaves half a store behind
+        await fs.promises.mkdir(path.dirname(presetsFile), { recursive: true });
+        const tempFile = `${presetsFile}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify([...next.values()], null, 2));
+        await fs.promises.rename(tempFile, presetsFile);
+        presets = next;
+        return result;
+    });
+    writeQueue = update;
+    return update;
+}
+
+function validatePreset(body, name) {
+    if (!body || typeof body !== 'object') {
+        return { ok: false, error: 'Preset must be a JSON object' };
+    }
+    const presetName = name || body.name;
+    if (typeof presetName !== 'string' || !presetNamePattern.test(presetName)) {
+        return { ok: false, error: 'Preset name must be 1-64 letters, digits, dots, dashes or underscores' };
+    }
+    if (!presetTypes.has(body.type)) {
+        return { ok: false, error: 'Preset type must be "image" or "audio"' };
+    }
+    if (!body.options || typeof body.options !== 'object' || Array.isArray(body.options)) {
+        return { ok: false, error: 'Preset options must be an object' };
+    }
+    return { ok: true, name: presetName };
+}
+
+function listPresets(type) {
+    const all = [...loadPresets().values()];
+    return (type ? all.filter(preset => preset.type === type) : all)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getPreset(name) {
+    return loadPresets().get(name) || null;
+}
+
+function putPreset(name, { type, description, options }) {
+    return updatePresets(store => {
+        const existing = store.get(name);
+        const now = new Date().toISOString();
+        const preset = {
+            name,
+            type,
+            description: typeof description === 'string' ? description : '',
+            options,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        store.set(name, preset);
+        return { preset, created: !existing };
+    });
+}
+
+async function deletePreset(name) {
+    if (!getPreset(name)) return false;
+    return updatePresets(store => store.delete(name));
+}
+
+/**
+ * Looks up the batch preset named in a processing request. Resolves to
+ * `{ ok, error, options }`; no name means empty options.
+ */
+function resolvePreset(name, type) {
+    if (!name) return { ok: true, options: {} };
+
+    const preset = getPreset(name);
+    if (!preset) return { ok: false, error: `Unknown preset "${name}"` };
+    if (preset.type !== type) return { ok: false, error: `Preset "${name}" is for ${preset.type}, not ${type}` };
+    return { ok: true, options: preset.options };
+}
+
+// Per-file settings override the preset, key by key
+function withPreset(presetOptions, fileOptions) {
+    if (!fileOptions && Object.keys(presetOptions).length === 0) return null;
+    return { ...presetOptions, ...(fileOptions || {}) };
+}
+
+module.exports = {
+    presetsFile,
+    validatePreset,
+    listPresets,
+    getPreset,
+    putPreset,
+    deletePreset,
+    resolvePreset,
+    withPreset
+};
@@ -0,0 +1,126 @@
+const sharp = require('sharp');
+
+const ssimWindow = 8;
+const ssimStride = 4;
+const c1 = (0.01 * 255) ** 2;
+const c2 = (0.03 * 255) ** 2;
+
+// Decodes to flattened sRGB pixels so every format is compared the same way
+async function readPixels(image) {
+    const { data, info } = await image
+        .flatten({ background: '#ffffff' })
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height, channels: info.channels };
+}
+
+function toLuma(pixels) {
+    const { data, width, height, channels } = pixels;
+    const luma = new Float32Array(width * height);
+    for (let i = 0, p = 0; i < luma.length; i += 1, p += channels) {
+        luma[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+    }
+    return luma;
+}
+
+// Mean SSIM of the luma plane over 8x8 windows, every 4 pixels
+function ssim(reference, candidate, width, height) {
+    const size = Math.min(ssimWindow, width, height);
+    const count = size * size;
+    let total = 0;
+    let windows = 0;
+
+    for (let y = 0; y + size <= height; y += ssimStride) {
+        for (let x = 0; x + size <= width; x += ssimStride) {
+            let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+            for (let dy = 0; dy < size; dy += 1) {
+                const row = (y + dy) * width + x;
+                for (let dx = 0; dx < size; dx += 1) {
+                    const a = reference[row + dx];
+                    const b = candidate[row + dx];
+                    sumA += a;
+                    sumB += b;
+                    sumAA += a * a;
+                    sumBB += b * b;
+                    sumAB += a * b;
+                }
+            }
+            const meanA = sumA / count;
+            const meanB = sumB / count;
+            const varA = sumAA / count - meanA * meanA;
+            const varB = sumBB / count - meanB * meanB;
+            const covariance = sumAB / count - meanA * meanB;
+            total += ((2 * meanA * meanB + c1) * (2 * covariance + c2))
+                / ((meanA * meanA + meanB * meanB + c1) * (varA + varB + c2));
+            windows += 1;
+        }
+    }
+    return windows > 0 ? total / windows : 1;
+}
+
+function psnr(reference, candidate) {
+    let squared = 0;
+    for (let i = 0; i < reference.data.length; i += 1) {
+        const difference = reference.data[i] - candidate.data[i];
+        squared += difference * difference;
+    }
+    const mse = squared / reference.data.length;
+    // Identical pixels have an infinite PSNR; JSON cannot carry that
+    return mse === 0 ? 100 : 10 * Math.log10((255 * 255) / mse);
+}
+
+/**
+ * Scores `candidate` against `reference` (both from `readPixels`).
+ * `dssim` is the structural dissimilarity `1 / ssim - 1`: 0 means identical.
+ */
+function compare(reference, candidate) {
+    if (reference.width !== candidate.width || reference.height !== candidate.height) {
+        throw new Error('Cannot compare images of different sizes');
+    }
+    const score = ssim(toLuma(reference), toLuma(candidate), reference.width, reference.height);
+    return {
+        ssim: Number(score.toFixed(5)),
+        psnr: Number(psnr(reference, candidate).toFixed(2)),
+        dssim: Number((score > 0 ? 1 / score - 1 : 1).toFixed(6))
+    };
+}
+
+async function measure(reference, encoded) {
+    const candidate = await readPixels(sharp(encoded));
+    return { metrics: compare(reference, candidate), candidate };
+}
+
+// Black where nothing changed, through red and yellow to white for the largest errors
+function heatColor(value) {
+    const level = Math.min(1, value / 64);
+    return [
+        Math.round(255 * Math.min(1, level * 3)),
+        Math.round(255 * Math.min(1, Math.max(0, level * 3 - 1))),
+        Math.round(255 * Math.max(0, level * 3 - 2))
+    ];
+}
+
+// Writes a PNG showing where the encoded pixels drift from the reference
+async function writeHeatmap(reference, candidate, filePath) {
+    const { width, height, channels } = reference;
+    const heat = Buffer.alloc(width * height * 3);
+    for (let i = 0, p = 0; i < width * height; i += 1, p += channels) {
+        let difference = 0;
+        for (let c = 0; c < 3; c += 1) {
+            difference = Math.max(difference, Math.abs(reference.data[p + c] - candidate.data[p + c]));
+        }
+        const [r, g, b] = heatColor(difference);
+        heat[i * 3] = r;
+        heat[i * 3 + 1] = g;
+        heat[i * 3 + 2] = b;
+    }
+    return sharp(heat, { raw: { width, height, channels: 3 } }).png().toFile(filePath);
+}
+
+module.exports = {
+    readPixels,
+    compare,
+    measure,
+    writeHeatmap
+};
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { mediaExtensions, limits, fixOriginalName } = require('./files');
+const { createLimiter } = require('./jobs');
+const { uploadKinds, rejection, checkFile, formatMegabytes } = require('./validation');
+
+const uploadDir = path.resolve(__dirname, '..', 'uploads');
+// A whole download, redirects included, must finish within this
+const remoteTimeoutMs = Number(process.env.ANVL_REMOTE_TIMEOUT_SECONDS || 30) * 1000;
+const maxRedirects = Number(process.env.ANVL_REMOTE_MAX_REDIRECTS || 5);
+// Private, loopback and link-local hosts are only reachable when this is set
+const allowPrivateHosts = process.env.ANVL_REMOTE_ALLOW_PRIVATE === '1';
+const maxUrls = 50;
+const downloadLimit = createLimiter(4);
+
+// Content types accepted per kind, with the extension a nameless download gets;
+// generic binary types are let through, the magic bytes decide
+const remoteTypes = {
+    image: {
+        'image/jpeg': '.jpg',
+        'image/png': '.png',
+        'image/gif': '.gif',
+        'image/tiff': '.tif',
+        'image/webp': '.webp',
+        'image/svg+xml': '.svg'
+    },
+    audio: {
+        'audio/wav': '.wav',
+        'audio/x-wav': '.wav',
+        'audio/wave': '.wav',
+        'audio/vnd.wave': '.wav',
+        'audio/flac': '.flac',
+        'audio/x-flac': '.flac',
+        'audio/aiff': '.aiff',
+        'audio/x-aiff': '.aiff',
+        'audio/mp4': '.m4a',
+        'audio/x-m4a': '.m4a',
+        'audio/ogg': '.ogg',
+        'application/ogg': '.ogg'
+    }
+};
+const binaryTypes = ['application/octet-stream', 'binary/octet-stream'];
+
+// Addresses no remote fetch may reach: "this" network, private, CGNAT,
+// loopback, link-local, benchmarking, multicast and reserved ranges. On the
+// IPv6 side also every range that can carry an IPv4 address (IPv4-compatible,
+// NAT64, Teredo, 6to4), since that address may be a private one
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2001::', 32], ['2002::', 16],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses match the IPv4 ranges
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    return family === 0 || blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function remoteError(status, code, message) {
+    return Object.assign(new Error(message), { rejection: rejection(status, code, message) });
+}
+
+function timeoutRejection() {
+    return rejection(504, 'timeout', `The download took longer than ${remoteTimeoutMs / 1000} s`);
+}
+
+// Resolves like dns.lookup, refusing blocked addresses at connect time so a
+// second lookup cannot swap in another address
+function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (!allowPrivateHosts && addresses.some(entry => isBlockedAddress(entry.address))) {
+            return callback(remoteError(403, 'blocked_address', `${hostname} resolves to a private address`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+function checkUrl(url) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw remoteError(400, 'invalid_url', `Only http and https URLs can be fetched: ${url.href}`);
+    }
+    // IP literals never reach the lookup
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivateHosts && net.isIP(host) && isBlockedAddress(host)) {
+        throw remoteError(403, 'blocked_address', `${url.hostname} is a private address`);
+    }
+}
+
+function get(url, signal) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const request = client.get(url, { lookup: safeLookup, signal, headers: { 'user-agent': 'ANVL media optimizer' } }, resolve);
+        request.on('error', reject);
+    });
+}
+
+// Counts the bytes going through, failing past `maxBytes`
+function byteCap(maxBytes) {
+    let total = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            total += chunk.length;
+            if (total > maxBytes) {
+                return callback(remoteError(413, 'file_too_large', `The file is larger than ${formatMegabytes(maxBytes)}`));
+            }
+            callback(null, chunk);
+        }
+    });
+}
+
+// The name a URL's file goes by: the last segment of its path
+function urlName(href) {
+    let name = '';
+    try {
+        name = path.posix.basename(new URL(href).pathname);
+        name = decodeURIComponent(name);
+    } catch {
+        // Keep the raw segment
+    }
+    return name.replace(/[\\/\0]/g, '_') || 'download';
+}
+
+// The URL's name, with the extension the content type implies when the path
+// has no usable one
+function remoteName(href, type, contentType) {
+    const name = urlName(href);
+    const ext = path.extname(name).toLowerCase();
+    if (mediaExtensions[type].has(ext)) return name;
+
+    const impliedExt = remoteTypes[type][contentType];
+    if (!impliedExt) return null;
+    return `${path.basename(name, path.extname(name))}${impliedExt}`;
+}
+
+async function download(href, type, signal) {
+    let url;
+    try {
+        url = new URL(href);
+    } catch {
+        throw remoteError(400, 'invalid_url', `Invalid URL: ${href}`);
+    }
+
+    let response;
+    for (let redirects = 0; ; redirects += 1) {
+        checkUrl(url);
+        response = await get(url, signal);
+        const { statusCode, headers } = response;
+        if (![301, 302, 303, 307, 308].includes(statusCode) || !headers.location) break;
+
+        response.resume();
+        if (redirects >= maxRedirects) {
+            throw remoteError(502, 'too_many_redirects', `More than ${maxRedirects} redirects`);
+        }
+        url = new URL(headers.location, url);
+    }
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.destroy();
+        throw remoteError(502, 'fetch_failed', `The server answered ${response.statusCode}`);
+    }
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!remoteTypes[type][contentType] && !binaryTypes.includes(contentType)) {
+        response.destroy();
+        throw remoteError(415, 'unsupported_type', `Unsupported content type: ${contentType || '(none)'}`);
+    }
+    const declaredSize = Number(response.headers['content-length']);
+    if (declaredSize > limits.maxFileBytes) {
+        response.destroy();
+        throw remoteError(413, 'file_too_large', `The file is larger than ${formatMegabytes(limits.maxFileBytes)}`);
+    }
+    const name = remoteName(href, type, contentType);
+    if (!name) {
+        response.destroy();
+        throw remoteError(415, 'unsupported_type', 'The URL names no supported file type');
+    }
+
+    await fs.promises.mkdir(uploadDir, { recursive: true });
+    const filePath = path.join(uploadDir, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${path.extname(name).toLowerCase()}`);
+    try {
+        await pipeline(response, byteCap(limits.maxFileBytes), fs.createWriteStream(filePath));
+    } catch (error) {
+        await fs.promises.unlink(filePath).catch(() => {});
+        throw error;
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    return { path: filePath, originalname: Buffer.from(name).toString('latin1'), size, url: href };
+}
+
+/**
+ * Downloads one URL into the upload folder. Redirects (up to
+ * ANVL_REMOTE_MAX_REDIRECTS) are followed and each hop is checked again;
+ * private and loopback hosts are refused unless ANVL_REMOTE_ALLOW_PRIVATE=1;
+ * the content type must fit `type` and the body the file size limit, all
+ * within ANVL_REMOTE_TIMEOUT_SECONDS (`signal` may abort it sooner).
+ * Resolves to a multer-like file with its `url`; failures throw with a
+ * `rejection`.
+ */
+async function downloadUrl(href, type, signal) {
+    const timeout = AbortSignal.timeout(remoteTimeoutMs);
+    try {
+        return await download(href, type, signal ? AbortSignal.any([signal, timeout]) : timeout);
+    } catch (error) {
+        // Mid-body, a timeout surfaces as a plain aborted stream
+        if (timeout.aborted) throw Object.assign(error, { rejection: timeoutRejection() });
+        throw error;
+    }
+}
+
+function fetchRejection(error) {
+    if (error.rejection) return error.rejection;
+    // The lookup's own rejection arrives wrapped by the request
+    if (error.cause && error.cause.rejection) return error.cause.rejection;
+    return rejection(502, 'fetch_failed', error.message || 'The download failed');
+}
+
+/**
+ * The job items for a request's `urls`: multer-like files named after the
+ * URL path, without a `path` until fetchRemoteFile downloads them.
+ */
+function remoteItems(urls) {
+    return urls.map(href => ({
+        url: href,
+        path: null,
+        originalname: Buffer.from(typeof href === 'string' ? urlName(href) : 'download').toString('latin1'),
+        size: 0
+    }));
+}
+
+/**
+ * Downloads a remote item (`type` image or audio) in place and checks it
+ * like an upload (`optionsFor(file)` as for checkFile). `onStart` is called
+ * once a download slot is free; `signal` cancels. Failures throw with the
+ * reason as message and a `rejection`.
+ */
+async function fetchRemoteFile(item, type, { signal, onStart = () => {}, optionsFor = () => ({}) } = {}) {
+    return downloadLimit(async () => {
+        onStart();
+        try {
+            if (typeof item.url !== 'string') throw remoteError(400, 'invalid_url', 'URLs must be strings');
+            const file = await downloadUrl(item.url, type, signal);
+            Object.assign(item, { path: file.path, size: file.size });
+            const problem = await checkFile(item, uploadKinds[type], { ...optionsFor(item), name: fixOriginalName(file.originalname), signal });
+            if (problem) {
+                await fs.promises.unlink(file.path).catch(() => {});
+                throw Object.assign(new Error(problem.error), { rejection: problem });
+            }
+            return item;
+        } catch (error) {
+            const problem = { ...fetchRejection(error), file: item.url };
+            throw Object.assign(new Error(problem.error), { rejection: problem });
+        }
+    });
+}
+
+module.exports = {
+    maxUrls,
+    isBlockedAddress,
+    downloadUrl,
+    remoteItems,
+    fetchRemoteFile
+};
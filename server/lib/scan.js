@@ -0,0 +1,122 @@
+const path = require('path');
+const fs = require('fs');
+
+const globChars = /[*?[{]/;
+
+// `**` spans directories, `*` and `?` stay inside one, `{a,b}` picks either
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i += 1) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            const slash = pattern[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            const end = pattern.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+                continue;
+            }
+            const options = pattern.slice(i + 1, end).split(',').map(option => option.replace(/[.+^$()|[\]\\]/g, '\\$&'));
+            source += `(?:${options.join('|')})`;
+            i = end;
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            source += `[${pattern.slice(i + 1, end).replace(/^!/, '^')}]`;
+            i = end;
+        } else {
+            source += char.replace(/[.+^$()|\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function toPosix(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * Turns one CLI input (file, directory or glob) into `{ root, test }`:
+ * files are looked up under `root` and kept when `test(relativePath)` passes.
+ */
+async function resolveInput(input) {
+    const absolute = path.resolve(input);
+
+    if (!globChars.test(input)) {
+        const stat = await fs.promises.stat(absolute);
+        if (stat.isDirectory()) return { root: absolute, test: () => true };
+        const name = path.basename(absolute);
+        return { root: path.dirname(absolute), file: absolute, test: relative => relative === name };
+    }
+
+    const segments = absolute.split(path.sep);
+    const firstGlob = segments.findIndex(segment => globChars.test(segment));
+    const pattern = globToRegExp(segments.slice(firstGlob).join('/'));
+    return {
+        root: segments.slice(0, firstGlob).join(path.sep) || path.sep,
+        test: relative => pattern.test(relative)
+    };
+}
+
+/**
+ * Matches a file against the resolved inputs. Returns `{ path, root, relative }`
+ * for the first input that accepts it, or null. Hidden files and anything
+ * under `exclude` (e.g. the output directory) never match.
+ */
+function matchInput(sources, filePath, { extensions, exclude = [] }) {
+    const absolute = path.resolve(filePath);
+    if (!extensions.has(path.extname(absolute).toLowerCase())) return null;
+    if (exclude.some(dir => absolute === dir || absolute.startsWith(`${dir}${path.sep}`))) return null;
+
+    for (const source of sources) {
+        if (!absolute.startsWith(`${source.root}${path.sep}`)) continue;
+        const relative = toPosix(path.relative(source.root, absolute));
+        if (relative.split('/').some(segment => segment.startsWith('.'))) continue;
+        if (source.test(relative)) return { path: absolute, root: source.root, relative };
+    }
+    return null;
+}
+
+/**
+ * Expands files, directories (recursively) and glob patterns into the media
+ * files they contain, sorted by path. Each file keeps its path relative to
+ * the input it came from, so outputs can mirror the source tree.
+ */
+async function expandInputs(inputs, { extensions, exclude = [] }) {
+    const sources = await Promise.all(inputs.map(resolveInput));
+    const found = new Map();
+
+    for (const source of sources) {
+        const entries = source.file
+            ? [path.basename(source.file)]
+            : await fs.promises.readdir(source.root, { recursive: true });
+
+        for (const entry of entries) {
+            const match = matchInput([source], path.join(source.root, entry), { extensions, exclude });
+            if (!match || found.has(match.path)) continue;
+            const stat = await fs.promises.stat(match.path).catch(() => null);
+            if (stat && stat.isFile()) found.set(match.path, match);
+        }
+    }
+
+    return {
+        sources,
+        files: [...found.values()].sort((a, b) => a.path.localeCompare(b.path))
+    };
+}
+
+module.exports = {
+    globToRegExp,
+    resolveInput,
+    matchInput,
+    expandInputs
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { outputStem } = require('./files');
+const { runningOutputs } = require('./jobs');
+
+const processedRoot = path.resolve(process.env.ANVL_PROCESSED_DIR || path.join(__dirname, '..', 'processed'));
+const publicRoot = '/processed';
+
+// Outputs older than this are garbage-collected
+const outputTtlMs = Number(process.env.ANVL_OUTPUT_TTL_MINUTES || 60) * 60 * 1000;
+const sessionIdPattern = /^[a-zA-Z0-9_-]{8,64}$/;
+const sessionKeyPattern = /^[a-zA-Z0-9_-]{16,128}$/;
+// Holds the SHA-256 of the key that may delete the session (dotfiles are never served)
+const ownerFilename = '.owner';
+
+function isValidSessionId(id) {
+    return typeof id === 'string' && sessionIdPattern.test(id);
+}
+
+// Clients keep their session id (header or form field); anyone else gets a fresh one
+function resolveSessionId(req) {
+    const requested = req.get('x-anvl-session') || (req.body && req.body.session);
+    return isValidSessionId(requested) ? requested : crypto.randomUUID();
+}
+
+// The session id shows in every output URL; the key (header or form field) stays with the client
+function resolveSessionKey(req) {
+    const key = req.get('x-anvl-session-key') || (req.body && req.body.sessionKey);
+    return typeof key === 'string' && sessionKeyPattern.test(key) ? key : null;
+}
+
+function keyDigest(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Creates `processed/<session>/<batch>` for one request. The first batch sent
+ * with a `sessionKey` makes that key the session's owner. Resolves to
+ * `{ sessionId, batchId, outputDir, publicPath }`.
+ */
+async function createBatch(sessionId, sessionKey = null) {
+    const batchId = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+    const outputDir = path.join(processedRoot, sessionId, batchId);
+    await fs.promises.mkdir(outputDir, { recursive: true });
+    if (sessionKey) {
+        await fs.promises.writeFile(path.join(processedRoot, sessionId, ownerFilename), keyDigest(sessionKey), { flag: 'wx' }).catch(error => {
+            if (error.code !== 'EEXIST') throw error;
+        });
+    }
+
+    return {
+        sessionId,
+        batchId,
+        outputDir,
+        publicPath: `${publicRoot}/${sessionId}/${batchId}`
+    };
+}
+
+/**
+ * Gives every file in a batch its own output stem, as a Map keyed by file.
+ * Files whose stems clash (`a/photo.jpg`, `b/photo.jpg`, `photo.png`) get
+ * `-2`, `-3`, ... in upload order, so the same batch always produces the
+ * same names.
+ */
+function assignOutputStems(files) {
+    const taken = new Set();
+    return new Map(files.map(file => {
+        const stem = outputStem(file.originalname);
+        let candidate = stem;
+        for (let suffix = 2; taken.has(candidate.toLowerCase()); suffix += 1) {
+            candidate = `${stem}-${suffix}`;
+        }
+        taken.add(candidate.toLowerCase());
+        return [file, candidate];
+    }));
+}
+
+/**
+ * Removes a session's outputs if `sessionKey` is the one it was created
+ * with. Resolves to `deleted`, `denied` (no key, another key, or a session
+ * created without one) or `missing`.
+ */
+async function deleteSession(sessionId, sessionKey) {
+    if (!isValidSessionId(sessionId)) return 'missing';
+
+    const sessionDir = path.join(processedRoot, sessionId);
+    if (!fs.existsSync(sessionDir)) return 'missing';
+    const owner = await fs.promises.readFile(path.join(sessionDir, ownerFilename), 'utf8').catch(() => '');
+    const digest = sessionKey ? keyDigest(sessionKey) : '';
+    if (!digest || owner.length !== digest.length || !crypto.timingSafeEqual(Buffer.from(owner), Buffer.from(digest))) {
+        return 'denied';
+    }
+    await fs.promises.rm(sessionDir, { recursive: true, force: true });
+    return 'deleted';
+}
+
+// When anything inside a batch last changed; folder mode writes into subfolders
+async function lastModified(target) {
+    const stat = await fs.promises.lstat(target).catch(() => null);
+    if (!stat) return null;
+    let latest = stat.mtimeMs;
+    if (stat.isDirectory()) {
+        for (const entry of await fs.promises.readdir(target).catch(() => [])) {
+            const changed = await lastModified(path.join(target, entry));
+            if (changed !== null) latest = Math.max(latest, changed);
+        }
+    }
+    return latest;
+}
+
+// Removes batches past the TTL that no running job writes to, then sessions left without any batch
+async function collectExpiredOutputs(now = Date.now()) {
+    let removed = 0;
+    const sessions = await fs.promises.readdir(processedRoot, { withFileTypes: true }).catch(() => []);
+    const busy = new Set(runningOutputs().map(output => `${output.sessionId}/${output.batchId}`));
+
+    for (const session of sessions) {
+        const sessionDir = path.join(processedRoot, session.name);
+        if (!session.isDirectory()) {
+            // Leftovers from the old flat layout
+            const stat = await fs.promises.stat(sessionDir).catch(() => null);
+            if (stat && now - stat.mtimeMs > outputTtlMs) {
+                await fs.promises.rm(sessionDir, { force: true });
+                removed += 1;
+            }
+            continue;
+        }
+
+        const batches = await fs.promises.readdir(sessionDir).catch(() => []);
+        for (const batch of batches) {
+            if (batch === ownerFilename || busy.has(`${session.name}/${batch}`)) continue;
+            const batchDir = path.join(sessionDir, batch);
+            const changed = await lastModified(batchDir);
+            if (changed !== null && now - changed > outputTtlMs) {
+                await fs.promises.rm(batchDir, { recursive: true, force: true });
+                removed += 1;
+            }
+        }
+
+        const remaining = await fs.promises.readdir(sessionDir).catch(() => null);
+        if (remaining && remaining.every(entry => entry === ownerFilename)) {
+            await fs.promises.rm(sessionDir, { recursive: true, force: true });
+        }
+    }
+
+    return removed;
+}
+
+function startOutputCollector() {
+    const sweep = () => collectExpiredOutputs().catch(error => console.error('Output cleanup failed:', error));
+    sweep();
+    // Sweep often enough that nothing outlives the TTL by much
+    const interval = Math.max(60 * 1000, Math.min(outputTtlMs / 4, 15 * 60 * 1000));
+    setInterval(sweep, interval).unref();
+}
+
+module.exports = {
+    processedRoot,
+    outputTtlMs,
+    isValidSessionId,
+    resolveSessionId,
+    resolveSessionKey,
+    createBatch,
+    assignOutputStems,
+    deleteSession,
+    collectExpiredOutputs,
+    startOutputCollector
+};
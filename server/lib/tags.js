@@ -0,0 +1,137 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { ffmpeg, runCommand } = require('./ffmpeg');
+const { limits } = require('./files');
+
+// Tags accepted in `audioConfigs[name].tags`, with the ffmpeg metadata key each is written as
+const tagKeys = {
+    title: 'title',
+    artist: 'artist',
+    album: 'album',
+    track: 'track',
+    year: 'date',
+    comment: 'comment'
+};
+const maxTagLength = 500;
+const coverSize = 600;
+
+// Reads the global `key=value` lines of an ffmetadata file, where `\` escapes `=;#\` and newlines
+function parseFfmetadata(text) {
+    const metadata = {};
+    let key = null;
+    let field = '';
+    let comment = false;
+    let lineStart = true;
+
+    for (let i = 0; i < text.length; i += 1) {
+        const char = text[i];
+        if (lineStart && char === '[') break;
+        if (lineStart) comment = char === ';' || char === '#';
+        lineStart = false;
+
+        if (char === '\\' && i + 1 < text.length) {
+            field += text[i + 1];
+            i += 1;
+        } else if (char === '\n') {
+            if (!comment && key) metadata[key.toLowerCase()] = field;
+            key = null;
+            field = '';
+            lineStart = true;
+        } else if (char === '=' && key === null) {
+            key = field;
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (!comment && key) metadata[key.toLowerCase()] = field;
+    return metadata;
+}
+
+/**
+ * Reads the container tags of `filePath` (ID3, Vorbis comments, RIFF INFO and
+ * the BWF `bext` chunk all come out as ffmpeg metadata). Resolves to
+ * `{ tags, coverStream }`, where `coverStream` is the index of an embedded
+ * picture, or null.
+ */
+async function readSourceTags(filePath, signal) {
+    const tempPath = path.join(os.tmpdir(), `anvl-${crypto.randomBytes(6).toString('hex')}.ffmeta`);
+    try {
+        const command = ffmpeg(filePath).format('ffmetadata').output(tempPath);
+        const stderr = await runCommand(command, { signal });
+        const metadata = parseFfmetadata(await fs.promises.readFile(tempPath, 'utf8'));
+        const cover = String(stderr).match(/Stream #0:(\d+)[^\n]*Video:[^\n]*\(attached pic\)/);
+
+        // BWF only has a description, originator and origination date
+        const tags = {
+            title: metadata.title,
+            artist: metadata.artist || metadata.originator,
+            album: metadata.album,
+            track: metadata.track,
+            year: metadata.date || metadata.origination_date,
+            comment: metadata.comment || metadata.description
+        };
+        return { tags, coverStream: cover ? Number(cover[1]) : null };
+    } finally {
+        await fs.promises.unlink(tempPath).catch(() => {});
+    }
+}
+
+function normalizeTag(name, value) {
+    if (value === undefined || value === null) return undefined;
+    const text = String(value).trim().slice(0, maxTagLength);
+    if (name === 'year') {
+        const year = text.match(/^\d{4}/);
+        return year ? year[0] : '';
+    }
+    if (name === 'track') {
+        return /^\d+(\/\d+)?$/.test(text) ? text : '';
+    }
+    return text;
+}
+
+/**
+ * Merges the requested tags over the source ones (unless `keepSource` is
+ * false). An empty requested value removes a source tag. Only the tags
+ * that end up non-empty are returned.
+ */
+function resolveTags(sourceTags, requested, keepSource) {
+    const tags = {};
+    Object.keys(tagKeys).forEach(name => {
+        const wanted = normalizeTag(name, requested && requested[name]);
+        const value = wanted !== undefined ? wanted : keepSource ? normalizeTag(name, sourceTags[name]) : undefined;
+        if (value) tags[name] = value;
+    });
+    return tags;
+}
+
+// `-metadata` pairs for fluent-ffmpeg; source metadata is dropped so only these are written
+function metadataArgs(tags) {
+    const args = ['-map_metadata', '-1'];
+    Object.entries(tags).forEach(([name, value]) => args.push('-metadata', `${tagKeys[name]}=${value}`));
+    return args;
+}
+
+// Square, metadata-free JPEG that every player shows; a small image is
+// cropped to its shorter side rather than enlarged
+async function prepareCover(inputPath, outputPath) {
+    const { width, height } = await sharp(inputPath, { limitInputPixels: limits.maxPixels }).metadata();
+    const side = Math.min(width, height, coverSize);
+    return sharp(inputPath, { limitInputPixels: limits.maxPixels })
+        .rotate()
+        .resize({ width: side, height: side, fit: 'cover', position: 'attention' })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toFile(outputPath);
+}
+
+module.exports = {
+    tagKeys,
+    readSourceTags,
+    resolveTags,
+    metadataArgs,
+    prepareCover
+};
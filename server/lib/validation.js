@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const { readDuration } = require('./ffmpeg');
+const { openImage } = require('./images');
+const { limits, fixOriginalName } = require('./files');
+
+const megabyte = 1024 * 1024;
+
+// Content types each extension may hold, as named by `sniffType`
+const extensionTypes = {
+    '.jpg': ['jpeg'],
+    '.jpeg': ['jpeg'],
+    '.png': ['png'],
+    '.gif': ['gif'],
+    '.tif': ['tiff'],
+    '.tiff': ['tiff'],
+    '.webp': ['webp'],
+    '.svg': ['svg'],
+    '.wav': ['wav'],
+    '.flac': ['flac'],
+    '.aiff': ['aiff'],
+    '.aif': ['aiff'],
+    '.m4a': ['mp4'],
+    '.ogg': ['ogg'],
+    '.mp4': ['mp4'],
+    '.mov': ['mp4', 'quicktime'],
+    '.webm': ['webm']
+};
+
+// What each kind of upload may contain
+const uploadKinds = {
+    image: ['jpeg', 'png', 'gif', 'tiff', 'webp', 'svg'],
+    audio: ['wav', 'flac', 'aiff', 'mp4', 'ogg'],
+    video: ['mp4', 'quicktime', 'webm'],
+    icon: ['png', 'svg'],
+    cover: ['jpeg', 'png'],
+    overlay: ['png']
+};
+
+const sniffLength = 4096;
+
+function startsWith(buffer, bytes, offset = 0) {
+    return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function ascii(buffer, text, offset = 0) {
+    return buffer.toString('latin1', offset, offset + text.length) === text;
+}
+
+// An XML prolog, comments and a doctype may come before the root element
+function looksLikeSvg(buffer) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    return /^\s*(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(text);
+}
+
+/**
+ * Names the format of a file from its first bytes: `jpeg`, `png`, `gif`,
+ * `tiff`, `webp`, `svg`, `wav`, `flac`, `aiff`, `ogg`, `mp4` (ISO media:
+ * MP4, M4A, MOV with a brand), `quicktime` (older MOV) or `webm`
+ * (Matroska/WebM). Resolves to null for anything else.
+ */
+async function sniffType(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    let buffer;
+    try {
+        const { bytesRead, buffer: data } = await handle.read(Buffer.alloc(sniffLength), 0, sniffLength, 0);
+        buffer = data.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+
+    if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'jpeg';
+    if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+    if (ascii(buffer, 'GIF87a') || ascii(buffer, 'GIF89a')) return 'gif';
+    if (ascii(buffer, 'II*\0') || ascii(buffer, 'MM\0*')) return 'tiff';
+    if (ascii(buffer, 'RIFF') && ascii(buffer, 'WEBP', 8)) return 'webp';
+    if (ascii(buffer, 'RIFF') && ascii(buffer, 'WAVE', 8)) return 'wav';
+    // FLAC may sit behind an ID3v2 tag
+    if (ascii(buffer, 'fLaC')) return 'flac';
+    if (ascii(buffer, 'ID3') && buffer.length >= 10) {
+        const tagSize = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+        if (ascii(buffer, 'fLaC', 10 + tagSize)) return 'flac';
+    }
+    if (ascii(buffer, 'FORM') && (ascii(buffer, 'AIFF', 8) || ascii(buffer, 'AIFC', 8))) return 'aiff';
+    if (ascii(buffer, 'OggS')) return 'ogg';
+    if (ascii(buffer, 'ftyp', 4)) return 'mp4';
+    if (['moov', 'mdat', 'wide', 'free', 'skip'].some(atom => ascii(buffer, atom, 4))) return 'quicktime';
+    if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return 'webm';
+    if (looksLikeSvg(buffer)) return 'svg';
+    return null;
+}
+
+/**
+ * A rejected input, in the one shape every route answers with:
+ * `{ error, code, file }` plus the HTTP `status`. `file` is the original
+ * name (or URL) of the offending file, or null for the request as a whole.
+ */
+function rejection(status, code, error, file = null) {
+    return { status, code, error, file };
+}
+
+// Answers with the first rejection; `errors` lists them all when there are several
+function sendRejection(res, rejections) {
+    const list = Array.isArray(rejections) ? rejections : [rejections];
+    const [first] = list;
+    const body = { error: first.error, code: first.code, file: first.file };
+    if (list.length > 1) body.errors = list.map(({ error, code, file }) => ({ error, code, file }));
+    return res.status(first.status).json(body);
+}
+
+function formatMegabytes(bytes) {
+    return `${Math.round((bytes / megabyte) * 100) / 100} MB`;
+}
+
+/**
+ * Checks one uploaded (or picked) file of `kinds` (the sniffed types it may
+ * be): size, magic bytes against the extension, then pixels for images
+ * (`resizeOptions.density` sets the SVG raster size) and duration for
+ * audio. `name` overrides the multer-encoded `originalname`. Resolves to a
+ * rejection, or null when the file is fine.
+ */
+async function checkFile(file, kinds, { resizeOptions, name = fixOriginalName(file.originalname), signal } = {}) {
+    if (file.size > limits.maxFileBytes) {
+        return rejection(413, 'file_too_large', `${name} is larger than ${formatMegabytes(limits.maxFileBytes)}`, name);
+    }
+
+    const ext = path.extname(name).toLowerCase();
+    const expected = (extensionTypes[ext] || []).filter(type => kinds.includes(type));
+    if (expected.length === 0) {
+        return rejection(415, 'unsupported_type', `Unsupported file extension: ${ext || '(none)'}`, name);
+    }
+
+    const actual = await sniffType(file.path);
+    if (!expected.includes(actual)) {
+        const found = actual ? `${actual.toUpperCase()} data` : 'unrecognized data';
+        return rejection(415, 'type_mismatch', `${name} has a ${ext} extension but contains ${found}`, name);
+    }
+
+    if (['jpeg', 'png', 'gif', 'tiff', 'webp', 'svg'].includes(actual)) {
+        let metadata;
+        try {
+            // Unlimited here so an oversized image is reported as such rather than as unreadable
+            metadata = await openImage(file.path, resizeOptions, { limitInputPixels: false }).metadata();
+        } catch {
+            return rejection(422, 'unreadable', `${name} could not be decoded`, name);
+        }
+        // Every frame of an animation is decoded
+        const frames = ['gif', 'webp'].includes(actual) ? metadata.pages || 1 : 1;
+        const pixels = metadata.width * metadata.height * frames;
+        if (!(pixels > 0) || pixels > limits.maxPixels) {
+            return rejection(413, 'too_many_pixels', `${name} has ${Math.round(pixels / 10000) / 100} megapixels, the limit is ${limits.maxPixels / 1000000}`, name);
+        }
+    }
+
+    if (['wav', 'flac', 'aiff', 'ogg'].includes(actual) || (actual === 'mp4' && ext === '.m4a')) {
+        let duration;
+        try {
+            duration = await readDuration(file.path, signal);
+        } catch {
+            duration = null;
+        }
+        if (duration === null) {
+            return rejection(422, 'unreadable', `${name} could not be decoded`, name);
+        }
+        if (duration > limits.maxAudioSeconds) {
+            return rejection(413, 'too_long', `${name} lasts ${Math.round(duration / 60)} minutes, the limit is ${limits.maxAudioSeconds / 60}`, name);
+        }
+    }
+
+    return null;
+}
+
+// Checks a batch one file at a time; resolves to every rejection
+async function checkFiles(files, kinds, optionsFor = () => ({})) {
+    const rejections = [];
+    for (const file of files) {
+        const problem = await checkFile(file, kinds, optionsFor(file));
+        if (problem) rejections.push(problem);
+    }
+
+    const total = files.reduce((sum, file) => sum + file.size, 0);
+    if (total > limits.maxRequestBytes) {
+        rejections.unshift(rejection(413, 'request_too_large', `The upload is larger than ${formatMegabytes(limits.maxRequestBytes)}`));
+    }
+    return rejections;
+}
+
+// Turns a multer failure into a rejection; `req.uploadingFile` names the file being received
+function uploadRejection(req, err) {
+    const file = req.uploadingFile || null;
+    if (err.code === 'LIMIT_FILE_SIZE') {
+        return rejection(413, 'file_too_large', `${file || 'A file'} is larger than ${formatMegabytes(limits.maxFileBytes)}`, file);
+    }
+    return rejection(400, 'invalid_upload', err.message, file);
+}
+
+// Refuses a request whose declared body is over the limit before reading it
+function checkRequestSize(req) {
+    const length = Number(req.get('content-length'));
+    if (Number.isFinite(length) && length > limits.maxRequestBytes) {
+        return rejection(413, 'request_too_large', `The upload is larger than ${formatMegabytes(limits.maxRequestBytes)}`);
+    }
+    return null;
+}
+
+module.exports = {
+    uploadKinds,
+    sniffType,
+    rejection,
+    sendRejection,
+    checkFile,
+    checkFiles,
+    formatMegabytes,
+    uploadRejection,
+    checkRequestSize
+};
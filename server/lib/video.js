@@ -0,0 +1,150 @@
+const path = require('path');
+const fs = require('fs');
+const { ffmpeg, runCommand } = require('./ffmpeg');
+const { processImage } = require('./images');
+const { outputStem } = require('./files');
+
+const webmCodecs = {
+    vp9: { codec: 'libvpx-vp9', label: 'vp9', options: ['-row-mt 1', '-deadline good', '-cpu-used 2'] },
+    av1: { codec: 'libaom-av1', label: 'av01', options: ['-row-mt 1', '-cpu-used 6'] }
+};
+
+const videoFormats = ['mp4', 'webm'];
+
+/**
+ * Checks a file's video config before anything is encoded: `formats` must
+ * list only mp4 / webm and `webmCodec` name a known codec. Returns
+ * `{ ok: true }` or `{ ok: false, error }`.
+ */
+function validateVideoOptions(options) {
+    const { formats, webmCodec } = options || {};
+    if (formats !== undefined && (!Array.isArray(formats) || formats.length === 0)) {
+        return { ok: false, error: 'Video formats must be a non-empty list' };
+    }
+    const unknown = (formats || []).filter(format => !videoFormats.includes(format));
+    if (unknown.length > 0) {
+        return { ok: false, error: `Unknown video format: ${unknown.join(', ')} (use ${videoFormats.join(' or ')})` };
+    }
+    if (webmCodec !== undefined && !Object.hasOwn(webmCodecs, webmCodec)) {
+        return { ok: false, error: `Unknown WebM codec: ${webmCodec} (use ${Object.keys(webmCodecs).join(' or ')})` };
+    }
+    return { ok: true };
+}
+
+function parseSeconds(value) {
+    const seconds = Number(value);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+}
+
+// Keeps the aspect ratio, never upscales and keeps the width even for yuv420p
+function scaleFilter(maxHeight) {
+    const height = parseInt(maxHeight, 10);
+    if (!height) return 'scale=trunc(iw/2)*2:trunc(ih/2)*2';
+    return `scale=-2:'trunc(min(ih,${height})/2)*2'`;
+}
+
+// Applies the trim window to a fresh command for the source file
+function trimmedInput(file, trimStart, trimEnd) {
+    const command = ffmpeg(file.path);
+    if (trimStart) command.seekInput(trimStart);
+    if (trimEnd > trimStart) command.duration(trimEnd - trimStart);
+    return command;
+}
+
+/**
+ * Encodes one uploaded video to H.264 MP4 and VP9/AV1 WebM inside `outputDir`,
+ * plus a poster frame run through the image pipeline (AVIF/WebP + LQIP).
+ * Options that fail validateVideoOptions throw.
+ */
+async function processVideo(file, options, { outputDir, publicPath, stem, signal, onProgress }) {
+    const validation = validateVideoOptions(options);
+    if (!validation.ok) throw new Error(validation.error);
+    const filename = stem || outputStem(file.originalname);
+    const formats = options.formats || videoFormats;
+    const webm = webmCodecs[options.webmCodec || 'vp9'];
+    const trimStart = parseSeconds(options.trimStart);
+    const trimEnd = parseSeconds(options.trimEnd);
+    const keepAudio = options.audio !== false;
+    const videoBitrate = options.bitrate || null;
+    const scale = scaleFilter(options.maxHeight);
+
+    const result = {
+        originalName: file.originalname,
+        originalSize: file.size,
+        webmCodec: webm.label
+    };
+
+    // Each encode gets an equal share of the overall progress
+    const steps = [...new Set(formats)];
+    const stepProgress = (step) => (percent) => {
+        if (onProgress) onProgress(((step + percent / 100) / (steps.length + 1)) * 100);
+    };
+
+    for (const [step, format] of steps.entries()) {
+        const outputFilename = `${filename}.${format}`;
+        const outputPath = path.join(outputDir, outputFilename);
+        const command = trimmedInput(file, trimStart, trimEnd).videoFilters(scale);
+
+        if (format === 'mp4') {
+            command
+                .videoCodec('libx264')
+                .outputOptions(['-preset medium', '-pix_fmt yuv420p', '-movflags +faststart']);
+            if (videoBitrate) command.videoBitrate(videoBitrate);
+            else command.outputOptions(`-crf ${parseInt(options.crf, 10) || 23}`);
+            if (keepAudio) command.audioCodec('aac').audioBitrate(options.audioBitrate || '128k');
+        } else {
+            command
+                .videoCodec(webm.codec)
+                .outputOptions(['-pix_fmt yuv420p', ...webm.options]);
+            if (videoBitrate) command.videoBitrate(videoBitrate);
+            else command.outputOptions([`-crf ${parseInt(options.webmCrf, 10) || 32}`, '-b:v 0']);
+            if (keepAudio) command.audioCodec('libopus').audioBitrate(options.audioBitrate || '96k');
+        }
+
+        if (!keepAudio) command.noAudio();
+
+        await runCommand(command.format(format).output(outputPath), { signal, onProgress: stepProgress(step) });
+
+        result[format] = `${publicPath}/${outputFilename}`;
+        result[`${format}Size`] = fs.statSync(outputPath).size;
+    }
+
+    // Grab the poster frame as a lossless PNG, then let sharp make AVIF/WebP/LQIP from it
+    const posterFrame = path.join(outputDir, `${filename}-poster.png`);
+    const posterTime = parseSeconds(options.posterTime);
+    const posterCommand = ffmpeg(file.path)
+        .seekInput(trimStart + posterTime)
+        .videoFilters(scale)
+        .frames(1)
+        .output(posterFrame);
+
+    try {
+        await runCommand(posterCommand, { signal });
+        const poster = await processImage(
+            { path: posterFrame, originalname: `${filename}-poster.png`, size: fs.statSync(posterFrame).size },
+            { resizeOptions: null, outputDir, publicPath, stem: `${filename}-poster`, signal }
+        );
+
+        result.width = poster.width;
+        result.height = poster.height;
+        result.poster = {
+            avif: poster.avif,
+            avifSize: poster.avifSize,
+            webp: poster.webp,
+            webpSize: poster.webpSize,
+            lqip: poster.lqip
+        };
+    } finally {
+        await fs.promises.unlink(posterFrame).catch(() => {});
+    }
+
+    if (onProgress) onProgress(100);
+    return result;
+}
+
+module.exports = {
+    webmCodecs,
+    videoFormats,
+    validateVideoOptions,
+    processVideo
+};
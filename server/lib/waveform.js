@@ -0,0 +1,114 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { ffmpeg, runCommand } = require('./ffmpeg');
+
+// Peaks are read from a mono downmix at this rate; it is also the JSON `sample_rate`
+const peaksSampleRate = 22050;
+// Roughly one min/max pair per pixel of a full-width player
+const peaksLength = 1000;
+const spectrogramSize = '800x240';
+
+async function decodePcm(input, signal) {
+    const tempPath = path.join(os.tmpdir(), `anvl-${crypto.randomBytes(6).toString('hex')}.pcm`);
+    try {
+        const command = ffmpeg(input)
+            .noVideo()
+            .audioChannels(1)
+            .audioFrequency(peaksSampleRate)
+            .format('s16le')
+            .output(tempPath);
+        await runCommand(command, { signal });
+        const data = await fs.promises.readFile(tempPath);
+        return new Int16Array(data.buffer, data.byteOffset, Math.floor(data.length / 2));
+    } finally {
+        await fs.promises.unlink(tempPath).catch(() => {});
+    }
+}
+
+/**
+ * Min/max pairs in the audiowaveform JSON format (version 2, 8 bits), which
+ * peaks.js, wavesurfer.js and friends load directly. `levels` reports the
+ * peak in dBFS and how many samples sit at full scale (clipping).
+ */
+function computePeaks(samples) {
+    const samplesPerPixel = Math.max(1, Math.ceil(samples.length / peaksLength));
+    const data = [];
+    let peak = 0;
+    let clippedSamples = 0;
+
+    for (let start = 0; start < samples.length; start += samplesPerPixel) {
+        let min = 0;
+        let max = 0;
+        const end = Math.min(samples.length, start + samplesPerPixel);
+        for (let i = start; i < end; i += 1) {
+            const sample = samples[i];
+            if (sample < min) min = sample;
+            if (sample > max) max = sample;
+            if (sample >= 32767 || sample <= -32768) clippedSamples += 1;
+        }
+        peak = Math.max(peak, -min, max);
+        data.push(Math.max(-128, Math.round(min / 256)), Math.min(127, Math.round(max / 256)));
+    }
+
+    return {
+        peaks: {
+            version: 2,
+            channels: 1,
+            sample_rate: peaksSampleRate,
+            samples_per_pixel: samplesPerPixel,
+            bits: 8,
+            length: data.length / 2,
+            data
+        },
+        levels: {
+            peakDb: peak > 0 ? Number((20 * Math.log10(peak / 32768)).toFixed(2)) : null,
+            clippedSamples
+        }
+    };
+}
+
+async function renderSpectrogram(input, outputPath, signal) {
+    const tempPath = `${outputPath}.png`;
+    try {
+        const command = ffmpeg(input)
+            .complexFilter(`showspectrumpic=s=${spectrogramSize}:legend=0:color=intensity`)
+            .outputOptions(['-frames:v 1'])
+            .output(tempPath);
+        await runCommand(command, { signal });
+        return await sharp(tempPath).webp({ quality: 80 }).toFile(outputPath);
+    } finally {
+        await fs.promises.unlink(tempPath).catch(() => {});
+    }
+}
+
+/**
+ * Writes `<stem>[-source].peaks.json` and `<stem>[-source]-spectrogram.webp`
+ * for the uploaded file and one encoded output, so both can be compared.
+ * Resolves to `{ waveform, spectrogram, levels }`, each `{ source, output }`.
+ */
+async function createAudioPreviews(sourcePath, outputPath, { outputDir, publicPath, stem, signal }) {
+    const previews = { waveform: {}, spectrogram: {}, levels: {} };
+
+    for (const [side, input, suffix] of [['source', sourcePath, '-source'], ['output', outputPath, '']]) {
+        const { peaks, levels } = computePeaks(await decodePcm(input, signal));
+        const peaksFilename = `${stem}${suffix}.peaks.json`;
+        await fs.promises.writeFile(path.join(outputDir, peaksFilename), JSON.stringify(peaks));
+
+        const spectrogramFilename = `${stem}${suffix}-spectrogram.webp`;
+        await renderSpectrogram(input, path.join(outputDir, spectrogramFilename), signal);
+
+        previews.waveform[side] = `${publicPath}/${peaksFilename}`;
+        previews.spectrogram[side] = `${publicPath}/${spectrogramFilename}`;
+        previews.levels[side] = levels;
+    }
+
+    return previews;
+}
+
+module.exports = {
+    computePeaks,
+    createAudioPreviews
+};
@@ -1,32 +1,54 @@
 const express = require('express');
 const multer = require('multer');
-const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
-const ffmpeg = require('fluent-ffmpeg');
-const ffmpegPath = require('ffmpeg-static');
 const archiver = require('archiver');
-
-// Configure ffmpeg
-if (ffmpegPath) {
-    ffmpeg.setFfmpegPath(ffmpegPath);
-} else {
-    console.warn("ffmpeg-static not found, audio conversion might fail if ffmpeg is not in PATH");
-}
+const { processImage, applyResize, openImage, validateBudget } = require('./lib/images');
+const { resolveMetadataPolicy } = require('./lib/metadata');
+const { validatePreset, listPresets, getPreset, putPreset, deletePreset, resolvePreset, withPreset } = require('./lib/presets');
+const { processAudio } = require('./lib/audio');
+const { validateVideoOptions, processVideo } = require('./lib/video');
+const { iconExtensions, processIcons } = require('./lib/icons');
+const { createJob, getJob, cancelJob, serializeJob } = require('./lib/jobs');
+const { mediaExtensions, limits, fixOriginalName } = require('./lib/files');
+const { uploadKinds, rejection, sendRejection, checkFile, checkFiles, uploadRejection, checkRequestSize } = require('./lib/validation');
+const { hashFile, lookupCached, storeCached } = require('./lib/cache');
+const { manifestFilename, archiveLayouts, resultSnippet, writeManifest, readManifest, planArchive } = require('./lib/manifest');
+const { processedRoot, isValidSessionId, resolveSessionId, resolveSessionKey, createBatch, assignOutputStems, deleteSession } = require('./lib/sessions');
+const { resolveFolderOptions, scanFolder, batchSubdir, assignFolderStems, planFolder, createDelivery } = require('./lib/folders');
+const { maxUrls, remoteItems, fetchRemoteFile } = require('./lib/remote');
 
 const router = express.Router();
 const nativeFileToken = process.env.ANVL_NATIVE_FILE_TOKEN || '';
-const processedRoot = path.resolve(__dirname, 'processed');
-const nativeExtensions = {
-    image: new Set(['.jpg', '.jpeg', '.png']),
-    audio: new Set(['.wav'])
+const audioMimeTypes = {
+    '.wav': 'audio/wav',
+    '.flac': 'audio/flac',
+    '.aiff': 'audio/aiff',
+    '.aif': 'audio/aiff',
+    '.m4a': 'audio/mp4',
+    '.ogg': 'audio/ogg'
+};
+const imageMimeTypes = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml'
+};
+const videoMimeTypes = {
+    '.mp4': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.webm': 'video/webm'
 };
 
 function nativeMimeType(type, ext) {
-    if (type === 'audio') return 'audio/wav';
-    if (ext === '.png') return 'image/png';
-    return 'image/jpeg';
+    if (type === 'audio') return audioMimeTypes[ext];
+    if (type === 'video') return videoMimeTypes[ext];
+    return imageMimeTypes[ext];
 }
 
 function validateNativePath(filePath, type) {
@@ -34,7 +56,7 @@ function validateNativePath(filePath, type) {
         return { ok: false, error: 'Invalid file path' };
     }
 
-    const allowed = nativeExtensions[type];
+    const allowed = mediaExtensions[type];
     if (!allowed) return { ok: false, error: 'Invalid file type' };
 
     const ext = path.extname(filePath).toLowerCase();
@@ -52,7 +74,7 @@ function validateNativePath(filePath, type) {
 
 function validateNativeToken(req, res) {
     if (!nativeFileToken || req.get('x-anvl-native-token') !== nativeFileToken) {
-        res.status(403).json({ error: 'Native file access is not authorized' });
+        sendRejection(res, rejection(403, 'not_authorized', 'Native file access is not authorized'));
         return false;
     }
 
@@ -66,7 +88,7 @@ function resolveProcessedFile(fileUrl) {
 
     let pathname;
     try {
-        pathname = new URL(fileUrl, 'http://anvl.local').pathname;
+        pathname = decodeURIComponent(new URL(fileUrl, 'http://anvl.local').pathname);
     } catch {
         return { ok: false, error: 'Invalid file URL' };
     }
@@ -75,17 +97,46 @@ function resolveProcessedFile(fileUrl) {
         return { ok: false, error: 'File must come from processed output' };
     }
 
-    const filename = path.posix.basename(pathname);
-    if (!filename || filename === 'processed') {
+    // Outputs live in processed/<session>/<batch>/; older flat URLs still resolve
+    const relativePath = pathname.slice('/processed/'.length);
+    const filename = path.posix.basename(relativePath);
+    if (!filename || relativePath.includes('\0')) {
         return { ok: false, error: 'Invalid processed file name' };
     }
 
-    const filePath = path.resolve(processedRoot, filename);
+    const filePath = path.resolve(processedRoot, relativePath);
     if (!filePath.startsWith(`${processedRoot}${path.sep}`)) {
         return { ok: false, error: 'Invalid processed file path' };
     }
 
-    return { ok: true, path: filePath, name: filename };
+    // The batch folder holds the manifest that describes the file
+    const segments = relativePath.split('/');
+    const inBatch = segments.length >= 3 && isValidSessionId(segments[0]);
+    return {
+        ok: true,
+        path: filePath,
+        name: filename,
+        batchDir: inBatch ? path.join(processedRoot, segments[0], segments[1]) : null,
+        batchPath: inBatch ? segments.slice(2).join('/') : null
+    };
+}
+
+// Archive options shared by the browser and native ZIP downloads
+function resolveArchiveOptions(body) {
+    const layout = body.layout || 'flat';
+    if (!archiveLayouts.includes(layout)) {
+        return { ok: false, error: `Unknown ZIP layout: ${layout}` };
+    }
+    return { ok: true, layout, manifest: body.manifest !== false };
+}
+
+// Adds the planned files (and the manifest, unless turned off) to an archive
+async function fillArchive(archive, sources, options) {
+    const { entries, manifest } = await planArchive(sources, { layout: options.layout });
+    entries.forEach(entry => archive.file(entry.path, { name: entry.name }));
+    if (options.manifest) {
+        archive.append(`${JSON.stringify(manifest, null, 2)}\n`, { name: manifestFilename });
+    }
 }
 
 function safeDownloadName(filename, fallback) {
@@ -122,8 +173,8 @@ router.post('/native-files/read', async (req, res) => {
     if (!validateNativeToken(req, res)) return;
 
     const { paths, type } = req.body || {};
-    if (!Array.isArray(paths) || !['image', 'audio'].includes(type)) {
-        return res.status(400).json({ error: 'Expected paths and type' });
+    if (!Array.isArray(paths) || !['image', 'audio', 'video'].includes(type)) {
+        return sendRejection(res, rejection(400, 'invalid_request', 'Expected paths and type'));
     }
 
     try {
@@ -131,17 +182,21 @@ router.post('/native-files/read', async (req, res) => {
         for (const filePath of paths.slice(0, 50)) {
             const validation = validateNativePath(filePath, type);
             if (!validation.ok) {
-                return res.status(400).json({ error: validation.error });
+                return sendRejection(res, rejection(400, 'invalid_file', validation.error, typeof filePath === 'string' ? path.basename(filePath) : null));
             }
 
+            const name = path.basename(validation.path);
             const stat = await fs.promises.stat(validation.path);
             if (!stat.isFile()) {
-                return res.status(400).json({ error: 'Selected path is not a file' });
+                return sendRejection(res, rejection(400, 'invalid_file', 'Selected path is not a file', name));
             }
+            // Checked like an upload before the file is read in full
+            const problem = await checkFile({ path: validation.path, size: stat.size }, uploadKinds[type], { name });
+            if (problem) return sendRejection(res, problem);
 
             const buffer = await fs.promises.readFile(validation.path);
             files.push({
-                name: path.basename(validation.path),
+                name,
                 mimeType: nativeMimeType(type, validation.ext),
                 size: stat.size,
                 lastModified: stat.mtimeMs,
@@ -152,7 +207,7 @@ router.post('/native-files/read', async (req, res) => {
         res.json({ files });
     } catch (error) {
         console.error('Native file read error:', error);
-        res.status(500).json({ error: 'Failed to read selected files' });
+        sendRejection(res, rejection(500, 'read_failed', 'Failed to read selected files'));
     }
 });
 
@@ -161,16 +216,16 @@ router.post('/native-files/download', async (req, res) => {
 
     const { mode } = req.body || {};
     if (!['file', 'zip'].includes(mode)) {
-        return res.status(400).json({ error: 'Expected download mode' });
+        return sendRejection(res, rejection(400, 'invalid_request', 'Expected download mode'));
     }
 
     try {
         if (mode === 'file') {
             const source = resolveProcessedFile(req.body.file);
-            if (!source.ok) return res.status(400).json({ error: source.error });
+            if (!source.ok) return sendRejection(res, rejection(400, 'invalid_file', source.error, String(req.body.file)));
 
-            const stat = await fs.promises.stat(source.path);
-            if (!stat.isFile()) return res.status(400).json({ error: 'Processed file does not exist' });
+            const stat = await fs.promises.stat(source.path).catch(() => null);
+            if (!stat || !stat.isFile()) return sendRejection(res, rejection(404, 'missing_file', 'Processed file does not exist', req.body.file));
 
             const destination = await uniqueDownloadPath(source.name);
             try {
@@ -186,15 +241,17 @@ router.post('/native-files/download', async (req, res) => {
 
         const { files, filename } = req.body;
         if (!Array.isArray(files) || files.length === 0) {
-            return res.status(400).json({ error: 'No files specified' });
+            return sendRejection(res, rejection(400, 'no_files', 'No files specified'));
         }
+        const archiveOptions = resolveArchiveOptions(req.body);
+        if (!archiveOptions.ok) return sendRejection(res, rejection(400, 'invalid_request', archiveOptions.error));
 
         const sources = [];
         for (const fileUrl of files) {
             const source = resolveProcessedFile(fileUrl);
-            if (!source.ok) return res.status(400).json({ error: source.error });
-            const stat = await fs.promises.stat(source.path);
-            if (!stat.isFile()) return res.status(400).json({ error: 'Processed file does not exist' });
+            if (!source.ok) return sendRejection(res, rejection(400, 'invalid_file', source.error, String(fileUrl)));
+            const stat = await fs.promises.stat(source.path).catch(() => null);
+            if (!stat || !stat.isFile()) return sendRejection(res, rejection(404, 'missing_file', 'Processed file does not exist', fileUrl));
             sources.push(source);
         }
 
@@ -209,10 +266,9 @@ router.post('/native-files/download', async (req, res) => {
                 archive.on('error', reject);
 
                 archive.pipe(output);
-                sources.forEach(source => {
-                    archive.file(source.path, { name: source.name });
-                });
-                archive.finalize();
+                fillArchive(archive, sources, archiveOptions)
+                    .then(() => archive.finalize())
+                    .catch(reject);
             });
         } catch (error) {
             await fs.promises.unlink(destination.path).catch(() => {});
@@ -223,7 +279,35 @@ router.post('/native-files/download', async (req, res) => {
         res.json({ name: destination.name, path: destination.path, size: savedStat.size });
     } catch (error) {
         console.error('Native download error:', error);
-        res.status(500).json({ error: 'Native download failed' });
+        sendRejection(res, rejection(500, 'download_failed', 'Native download failed'));
+    }
+});
+
+// Native folder mode, dry run: what a `folder` field would process and where the outputs would go
+router.post('/native-folders/scan', async (req, res) => {
+    if (!validateNativeToken(req, res)) return;
+
+    const { type } = req.body || {};
+    if (!['image', 'audio', 'video'].includes(type)) {
+        return sendRejection(res, rejection(400, 'invalid_request', 'Expected folder options and type'));
+    }
+
+    try {
+        const folder = await resolveFolderOptions(req.body);
+        if (!folder.ok) return sendRejection(res, rejection(400, 'invalid_request', folder.error));
+
+        const scan = await scanFolder(folder, type);
+        if (!scan.ok) return sendRejection(res, scan.rejection);
+
+        const { ok, ...options } = folder;
+        res.json({
+            ...options,
+            files: await planFolder(folder, scan.files),
+            skipped: scan.skipped.map(({ error, code, file }) => ({ error, code, file }))
+        });
+    } catch (error) {
+        console.error('Native folder scan error:', error);
+        sendRejection(res, rejection(500, 'read_failed', 'Failed to scan the folder'));
     }
 });
 
@@ -238,290 +322,626 @@ const storage = multer.diskStorage({
     }
 });
 
-const upload = multer({ storage: storage });
-
-const uploadMiddleware = upload.array('images', 50);
-
-// NEW: Audio upload middleware (can reuse same logic, but maybe different field name in future? 
-// For now, client sends 'images' as field name even for audio? 
-// Let's stick to 'images' or 'files'. Client plan said "Dragzone" so likely 'files'.
-// But wait, the client implementation plan didn't specify changing field name.
-// Existing code uses 'images'. Let's support 'files' effectively by using the same middleware or a new one.
-// Actually, let's keep it simple. If the client uses 'files' for audio, we need a new middleware.
-// Let's assume client will update to use 'files' for audio or we can just use 'images' for everything (confusing name but works).
-// Better: Generic upload middleware.
-const uploadAnyMiddleware = upload.any(); 
-// Wait, .any() accepts any field name.
-
-router.post('/process-images', (req, res, next) => {
-    uploadMiddleware(req, res, function (err) {
-        if (err instanceof multer.MulterError) {
-            return res.status(400).json({ error: err.message });
-        } else if (err) {
-            return res.status(500).json({ error: err.message });
-        }
-        next();
-    });
-}, async (req, res) => {
+const upload = multer({
+    storage: storage,
+    limits: { fileSize: limits.maxFileBytes },
+    // Remembered so a size-limit failure can name the file
+    fileFilter: (req, file, cb) => {
+        req.uploadingFile = fixOriginalName(file.originalname);
+        cb(null, true);
+    }
+});
+
+// Runs a multer middleware; oversized requests are refused before any byte is stored
+function receiveUploads(middleware) {
+    return (req, res, next) => {
+        const tooLarge = checkRequestSize(req);
+        if (tooLarge) return sendRejection(res, tooLarge);
+
+        middleware(req, res, function (err) {
+            if (err instanceof multer.MulterError) {
+                return sendRejection(res, uploadRejection(req, err));
+            } else if (err) {
+                return sendRejection(res, rejection(500, 'upload_failed', err.message, req.uploadingFile || null));
+            }
+            next();
+        });
+    };
+}
+
+// 'overlayImage' is the optional watermark image of a batch
+const uploadMiddleware = upload.fields([{ name: 'images', maxCount: 50 }, { name: 'overlayImage', maxCount: 1 }]);
+
+// Parses a JSON form field, falling back to `fallback` when it is missing or malformed
+function parseJsonField(value, label, fallback = {}) {
+    if (!value) return fallback;
     try {
-        if (!req.files || req.files.length === 0) {
-            return res.status(400).json({ error: 'No files uploaded' });
-        }
+        return JSON.parse(value) || fallback;
+    } catch (e) {
+        console.error(`Error parsing ${label}`, e);
+        return fallback;
+    }
+}
 
-        const processedImages = [];
+// Remote items that were never downloaded have no path
+function removeUploads(files) {
+    return Promise.all(files.filter(file => file.path).map(file => fs.promises.unlink(file.path).catch(() => {})));
+}
 
-        // Parse resize options globally
-        let globalResizeOptions = {};
-        if (req.body.resizeOptions) {
-            try {
-                globalResizeOptions = JSON.parse(req.body.resizeOptions);
-            } catch (e) {
-                console.error('Error parsing resize options', e);
-            }
-        }
+// Tells the client where a job writes, so it can clean up its session later
+function batchOutput(batch) {
+    return { sessionId: batch.sessionId, batchId: batch.batchId, publicPath: batch.publicPath };
+}
 
-        for (const file of req.files) {
-            // Sanitize filename
-            // Fix encoding: Multer interprets headers as latin1 by default, but modern browsers send utf8
-            const originalNameFixed = Buffer.from(file.originalname, 'latin1').toString('utf8');
-
-            const parsedName = path.parse(originalNameFixed).name;
-            const filename = parsedName
-                .normalize('NFD')
-                .replace(/[\u0300-\u036f]/g, "")
-                .replace(/[^a-zA-Z0-9._-]/g, '_');
-            const outputDir = path.join(__dirname, 'processed');
-            
-            // Check for resize options
-            let resizeOptions = null;
-            if (globalResizeOptions[file.originalname]) {
-                resizeOptions = globalResizeOptions[file.originalname];
-            }
+// Once every file settled: drop the uploads and describe the batch in its manifest.json
+function finishBatch(batch, uploads) {
+    return async (job) => {
+        await removeUploads(uploads);
+        await writeManifest(serializeJob(job), batch);
+    };
+}
 
-            // Determine quality (default 80)
-            const quality = resizeOptions && resizeOptions.quality ? parseInt(resizeOptions.quality) : 80;
-
-            // Define output paths
-            const avifFilename = `${filename}.avif`;
-            const webpFilename = `${filename}.webp`;
-            const avifPath = path.join(outputDir, avifFilename);
-            const webpPath = path.join(outputDir, webpFilename);
-
-            // Base sharp instance
-            let imagePipeline = sharp(file.path);
-
-            // Apply resize if options exist
-            if (resizeOptions) {
-                imagePipeline = imagePipeline.resize({
-                    width: resizeOptions.width,
-                    height: resizeOptions.height,
-                    fit: 'fill'
-                });
-            }
+/**
+ * Native folder mode: a `folder` form field (see lib/folders.js) makes a
+ * process route read its files from a scanned folder instead of the upload.
+ * Resolves to null without one, else to `{ ok, options, files, skipped,
+ * sources, deliver }` or `{ ok: false, rejection }`.
+ */
+async function folderRequest(req, type, optionsFor) {
+    const spec = parseJsonField(req.body && req.body.folder, 'folder options', null);
+    if (!spec) return null;
+    if (!nativeFileToken || req.get('x-anvl-native-token') !== nativeFileToken) {
+        return { ok: false, rejection: rejection(403, 'not_authorized', 'Native file access is not authorized') };
+    }
 
-            // Process to AVIF
-            await imagePipeline
-                .clone()
-                .avif({ quality: quality }) 
-                .toFile(avifPath);
-
-            // Process to WebP
-            await imagePipeline
-                .clone()
-                .webp({ quality: quality }) 
-                .toFile(webpPath);
-
-            // Get stats
-            const avifStats = fs.statSync(avifPath);
-            const webpStats = fs.statSync(webpPath);
-
-            const result = {
-                originalName: file.originalname,
-                avif: `/processed/${avifFilename}`,
-                webp: `/processed/${webpFilename}`,
-                originalSize: file.size,
-                avifSize: avifStats.size,
-                webpSize: webpStats.size
-            };
-
-            // Process resized original if needed
-            if (resizeOptions) {
-                const ext = path.extname(file.originalname).toLowerCase();
-                const resizedOriginalFilename = `${filename}_resized${ext}`;
-                const resizedOriginalPath = path.join(outputDir, resizedOriginalFilename);
-
-                let resizedPipeline = imagePipeline.clone();
-
-                if (ext === '.png') {
-                    resizedPipeline = resizedPipeline.png({ 
-                        compressionLevel: 9, 
-                        adaptiveFiltering: true, 
-                        palette: true, 
-                        quality: quality 
-                    });
-                } else if (ext === '.jpg' || ext === '.jpeg') {
-                    resizedPipeline = resizedPipeline.jpeg({ 
-                        quality: quality, 
-                        mozjpeg: true 
-                    });
-                }
-
-                await resizedPipeline.toFile(resizedOriginalPath);
-                const resizedStats = fs.statSync(resizedOriginalPath);
-                result.resizedOriginal = `/processed/${resizedOriginalFilename}`;
-                result.resizedOriginalSize = resizedStats.size;
-            }
+    const options = await resolveFolderOptions(spec);
+    if (!options.ok) return { ok: false, rejection: rejection(400, 'invalid_request', options.error) };
+    const scan = await scanFolder(options, type, optionsFor);
+    if (!scan.ok) return scan;
+    return { ...scan, options, deliver: createDelivery(options, scan) };
+}
 
-            // Generate LQIP
-            const lqipBuffer = await imagePipeline
-                .clone()
-                .resize({ width: 20, fit: 'inside' })
-                .blur(1)
-                .jpeg({ quality: 20, mozjpeg: true })
-                .toBuffer();
-            
-            result.lqip = `data:image/jpeg;base64,${lqipBuffer.toString('base64')}`;
-
-            processedImages.push(result);
-        }
+// Where each file of a batch writes; folder mode mirrors the scanned tree inside the batch
+async function batchFileOutputs(batch, files, folder) {
+    if (!folder) {
+        const stems = assignOutputStems(files);
+        return (file) => ({ outputDir: batch.outputDir, publicPath: batch.publicPath, stem: stems.get(file) });
+    }
 
-        res.json({ files: processedImages });
+    const stems = assignFolderStems(files);
+    const subdirs = new Map(files.map(file => [file, batchSubdir(file)]));
+    await Promise.all([...new Set(subdirs.values())].map(dir => fs.promises.mkdir(path.join(batch.outputDir, ...dir.split('/')), { recursive: true })));
+    return (file) => {
+        const dir = subdirs.get(file);
+        return {
+            outputDir: path.join(batch.outputDir, ...dir.split('/')),
+            publicPath: dir ? `${batch.publicPath}/${dir}` : batch.publicPath,
+            stem: stems.get(file)
+        };
+    };
+}
 
-    } catch (error) {
-        console.error('Processing error:', error);
-        res.status(500).json({ error: 'Image processing failed' });
+// Folder mode also copies each finished file's outputs to its destination (`result.delivered`)
+function delivering(type, folder, fileOutput, task) {
+    if (!folder) return task;
+    return async (file, ...args) => {
+        const result = await task(file, ...args);
+        if (!result) return result;
+        const delivered = await folder.deliver(type, result, { file, ...fileOutput(file) });
+        return { ...result, delivered };
+    };
+}
+
+// Adds the HTML snippet the app copies (`result.snippet`); added last so cached results never carry a stale one
+function withSnippet(type, task) {
+    return async (...args) => {
+        const result = await task(...args);
+        return result && { ...result, snippet: resultSnippet(type, result) };
+    };
+}
+
+/**
+ * Remote inputs: a `urls` form field (JSON list) has the server download
+ * those files itself (see lib/remote.js), each one inside the job so its
+ * progress and failure are reported like an upload's. Returns null without
+ * one, else `{ ok, items }` or `{ ok: false, rejection }`.
+ */
+function remoteRequest(req) {
+    const urls = parseJsonField(req.body && req.body.urls, 'remote URLs', null);
+    if (!urls) return null;
+    if (!Array.isArray(urls)) return { ok: false, rejection: rejection(400, 'invalid_request', 'URLs must be a list') };
+    if (urls.length > maxUrls) {
+        return { ok: false, rejection: rejection(413, 'too_many_files', `At most ${maxUrls} URLs can be fetched at once`) };
+    }
+    return { ok: true, items: remoteItems(urls) };
+}
+
+// Downloads the remote items of a job before they are processed; uploads are ready as they are
+function fetchingRemote(remote, type, optionsFor) {
+    if (!remote) return undefined;
+    return (file, context) => file.url && fetchRemoteFile(file, type, { ...context, optionsFor });
+}
+
+// The job snapshot, plus the folder files that were left out
+function jobResponse(job, skipped) {
+    const snapshot = serializeJob(job);
+    if (!skipped) return snapshot;
+    return { ...snapshot, skipped: skipped.map(({ error, code, file }) => ({ error, code, file })) };
+}
+
+router.post('/process-images', receiveUploads(uploadMiddleware), async (req, res) => {
+    const imageUploads = (req.files && req.files['images']) || [];
+    const overlayUpload = req.files && req.files['overlayImage'] ? req.files['overlayImage'][0] : null;
+    const uploads = overlayUpload ? [...imageUploads, overlayUpload] : [...imageUploads];
+
+    // A named preset supplies the defaults, per-file resize options win
+    const preset = resolvePreset(req.body.preset, 'image');
+    if (!preset.ok) {
+        removeUploads(uploads);
+        return sendRejection(res, rejection(400, 'invalid_preset', preset.error));
     }
+
+    // Parse resize options globally
+    const globalResizeOptions = parseJsonField(req.body.resizeOptions, 'resize options');
+    const checkOptions = (file) => ({ resizeOptions: withPreset(preset.options, globalResizeOptions[file.originalname]) });
+
+    // A budget of NaN bytes can never be met, so refuse it before any file is read
+    const budgetRejections = [[null, preset.options], ...Object.entries(globalResizeOptions)].flatMap(([name, options]) => {
+        const validation = validateBudget(options && options.budget);
+        return validation.ok ? [] : [rejection(400, 'invalid_request', validation.error, name && fixOriginalName(name))];
+    });
+    if (budgetRejections.length > 0) {
+        removeUploads(uploads);
+        return sendRejection(res, budgetRejections);
+    }
+
+    // Folder files are checked while scanning; the refused ones are left out
+    const folder = await folderRequest(req, 'image', checkOptions);
+    if (folder && !folder.ok) {
+        removeUploads(uploads);
+        return sendRejection(res, folder.rejection);
+    }
+
+    // A refused upload refuses the whole request, before any URL is fetched
+    const rejections = [
+        ...await checkFiles(folder ? [] : imageUploads, uploadKinds.image, checkOptions),
+        ...await checkFiles(overlayUpload ? [overlayUpload] : [], uploadKinds.overlay)
+    ];
+    if (rejections.length > 0) {
+        removeUploads(uploads);
+        return sendRejection(res, rejections);
+    }
+
+    // URLs are queued after the uploads and fetched by the job
+    const remote = folder ? null : remoteRequest(req);
+    if (remote && !remote.ok) {
+        removeUploads(uploads);
+        return sendRejection(res, remote.rejection);
+    }
+    if (remote) uploads.push(...remote.items);
+    const files = folder ? folder.files : [...imageUploads, ...(remote ? remote.items : [])];
+
+    if (files.length === 0) {
+        removeUploads(uploads);
+        return sendRejection(res, folder && folder.skipped.length > 0 ? folder.skipped : rejection(400, 'no_files', 'No files uploaded'));
+    }
+
+    // Parse responsive breakpoints (batch-wide, can be overridden per file)
+    const responsive = parseJsonField(req.body.responsive, 'responsive options');
+    // Metadata policy (batch-wide): auto-orient, what to keep, sRGB conversion
+    const metadata = resolveMetadataPolicy(parseJsonField(req.body.metadata, 'metadata policy'));
+    // Quality scoring (batch-wide): SSIM/PSNR/DSSIM, heatmaps, auto quality by target SSIM
+    const metrics = parseJsonField(req.body.metrics, 'metrics options');
+    // Extra placeholders (batch-wide): blurhash, thumbhash, color, svg
+    const placeholders = parseJsonField(req.body.placeholders, 'placeholder types', []);
+    // Output formats and advanced encoder settings (batch-wide, per-file resizeOptions win)
+    const formats = parseJsonField(req.body.formats, 'output formats', null);
+    const encoders = parseJsonField(req.body.encoders, 'encoder settings');
+    // Watermark (batch-wide): the uploaded 'overlayImage' or text, keyed by the image bytes
+    const overlaySpec = parseJsonField(req.body.overlay, 'overlay options', overlayUpload ? {} : null);
+    const overlay = overlaySpec && overlayUpload ? { ...overlaySpec, image: await hashFile(overlayUpload.path) } : overlaySpec;
+    const batch = await createBatch(resolveSessionId(req), resolveSessionKey(req));
+    const fileOutput = await batchFileOutputs(batch, files, folder);
+    // Everything that shapes a file's outputs, which is also its cache key
+    const imageOptions = (file) => ({
+        resizeOptions: withPreset(preset.options, globalResizeOptions[file.originalname]),
+        responsive,
+        metadata,
+        metrics,
+        placeholders,
+        overlay,
+        formats,
+        encoders
+    });
+
+    const job = createJob({
+        type: 'images',
+        engine: 'sharp',
+        items: files,
+        output: batchOutput(batch),
+        prepare: fetchingRemote(remote, 'image', checkOptions),
+        lookup: withSnippet('images', delivering('images', folder, fileOutput, (file) => lookupCached('image', file, imageOptions(file), fileOutput(file)))),
+        worker: withSnippet('images', delivering('images', folder, fileOutput, async (file, context) => {
+            const result = await processImage(file, {
+                ...imageOptions(file),
+                ...fileOutput(file),
+                overlayImage: overlayUpload && overlayUpload.path,
+                signal: context.signal
+            });
+            return storeCached('image', file, imageOptions(file), fileOutput(file), result);
+        })),
+        onFinish: finishBatch(batch, uploads)
+    });
+
+    res.status(202).json(jobResponse(job, folder && folder.skipped));
 });
 
-router.post('/process-audio', (req, res, next) => {
-    // Reuse upload middleware but maybe allow different field name?
-    // Let's use uploadAnyMiddleware for maximum flexibility or just 'images' array if client sends that.
-    // Client currently sends 'images' for everything. Let's assume we update client to send 'files' or still 'images'.
-    // To be safe and clean, let's allow 'images' OR 'files'.
-    upload.fields([{ name: 'images' }, { name: 'audio' }, { name: 'files' }])(req, res, function (err) {
-         if (err instanceof multer.MulterError) {
-            return res.status(400).json({ error: err.message });
-        } else if (err) {
-            return res.status(500).json({ error: err.message });
-        }
-        next();
+// One logo in, a whole favicon/app-icon set (plus its ZIP) out
+router.post('/process-icons', receiveUploads(upload.single('icon')), async (req, res) => {
+    if (!req.file) {
+        return sendRejection(res, rejection(400, 'no_files', 'No icon uploaded'));
+    }
+    if (!iconExtensions.has(path.extname(req.file.originalname).toLowerCase())) {
+        removeUploads([req.file]);
+        return sendRejection(res, rejection(415, 'unsupported_type', 'Icons need a PNG or SVG logo', fixOriginalName(req.file.originalname)));
+    }
+    const rejections = await checkFiles([req.file], uploadKinds.icon);
+    if (rejections.length > 0) {
+        removeUploads([req.file]);
+        return sendRejection(res, rejections);
+    }
+
+    const iconOptions = parseJsonField(req.body.iconOptions, 'icon options');
+    const batch = await createBatch(resolveSessionId(req), resolveSessionKey(req));
+    const stems = assignOutputStems([req.file]);
+
+    const job = createJob({
+        type: 'icons',
+        engine: 'sharp',
+        items: [req.file],
+        output: batchOutput(batch),
+        worker: (file, context) => processIcons(file, iconOptions, {
+            outputDir: batch.outputDir,
+            publicPath: batch.publicPath,
+            stem: stems.get(file),
+            signal: context.signal
+        }),
+        onFinish: finishBatch(batch, [req.file])
     });
-}, async (req, res) => {
+
+    res.status(202).json(serializeJob(job));
+});
+
+// Shows where a resize lands before committing to it: the kept source region
+// for `cover`, or just the output size for the other fit modes
+router.post('/crop-preview', receiveUploads(upload.single('image')), async (req, res) => {
+    if (!req.file) {
+        return sendRejection(res, rejection(400, 'no_files', 'No image uploaded'));
+    }
+
     try {
-        // Collect files from potential fields
-        let files = [];
-        if (req.files['images']) files = files.concat(req.files['images']);
-        if (req.files['audio']) files = files.concat(req.files['audio']);
-        if (req.files['files']) files = files.concat(req.files['files']);
-
-        if (files.length === 0) {
-            return res.status(400).json({ error: 'No audio files uploaded' });
-        }
+        const resizeOptions = parseJsonField(req.body.resizeOptions, 'resize options');
+        const rejections = await checkFiles([req.file], uploadKinds.image, () => ({ resizeOptions }));
+        if (rejections.length > 0) return sendRejection(res, rejections);
+
+        const { autoOrient } = resolveMetadataPolicy(parseJsonField(req.body.metadata, 'metadata policy'));
+        const metadata = await openImage(req.file.path, resizeOptions).metadata();
+        const source = autoOrient && metadata.autoOrient ? metadata.autoOrient : metadata;
+        const input = autoOrient ? openImage(req.file.path, resizeOptions).autoOrient() : openImage(req.file.path, resizeOptions);
+        const { pipeline, fit, crop } = await applyResize(input, req.file.path, resizeOptions, { autoOrient });
+        const { info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+
+        res.json({
+            source: { width: source.width, height: source.height },
+            output: { width: info.width, height: info.height },
+            fit,
+            crop
+        });
+    } catch (error) {
+        sendRejection(res, rejection(400, 'invalid_request', error.message || 'Could not preview this image', fixOriginalName(req.file.originalname)));
+    } finally {
+        await removeUploads([req.file]);
+    }
+});
 
-        const processedFiles = [];
-
-        // Parse audio configs
-        let audioConfigs = {};
-        if (req.body.audioConfigs) {
-           try {
-              audioConfigs = JSON.parse(req.body.audioConfigs);
-              console.log('Audio Configs Received:', JSON.stringify(audioConfigs, null, 2));
-           } catch (e) {
-              console.error("Error parsing audio configs", e);
-           }
-        }
+// Accept 'images', 'audio' or 'files' as the field name; 'covers' holds cover art
+router.post('/process-audio', receiveUploads(upload.fields([{ name: 'images' }, { name: 'audio' }, { name: 'files' }, { name: 'covers' }])), async (req, res) => {
+    // Collect files from potential fields
+    let audioUploads = [];
+    if (req.files['images']) audioUploads = audioUploads.concat(req.files['images']);
+    if (req.files['audio']) audioUploads = audioUploads.concat(req.files['audio']);
+    if (req.files['files']) audioUploads = audioUploads.concat(req.files['files']);
+    const coverUploads = req.files['covers'] || [];
+    const uploads = [...audioUploads, ...coverUploads];
+
+    const preset = resolvePreset(req.body.preset, 'audio');
+    if (!preset.ok) {
+        removeUploads(uploads);
+        return sendRejection(res, rejection(400, 'invalid_preset', preset.error));
+    }
+
+    const folder = await folderRequest(req, 'audio');
+    if (folder && !folder.ok) {
+        removeUploads(uploads);
+        return sendRejection(res, folder.rejection);
+    }
 
-        for (const file of files) {
-             // Fix encoding
-             const originalNameFixed = Buffer.from(file.originalname, 'latin1').toString('utf8');
-
-             const parsedName = path.parse(originalNameFixed).name;
-            const filename = parsedName
-                .normalize('NFD')
-                .replace(/[\u0300-\u036f]/g, "")
-                .replace(/[^a-zA-Z0-9._-]/g, '_');
-             const outputDir = path.join(__dirname, 'processed');
-            const mp3Filename = `${filename}.mp3`;
-            const mp3Path = path.join(outputDir, mp3Filename);
-
-            // Get options for this file
-            const options = audioConfigs[file.originalname] || {};
-            console.log(`Processing ${file.originalname} with options:`, options);
-            
-            const bitrate = options.bitrate || '192k';
-            const channels = options.channels === 'mono' ? 1 : 2;
-            const speed = options.speed || 1.0;
+    const rejections = [...await checkFiles(folder ? [] : audioUploads, uploadKinds.audio), ...await checkFiles(coverUploads, uploadKinds.cover)];
+    if (rejections.length > 0) {
+        removeUploads(uploads);
+        return sendRejection(res, rejections);
+    }
 
-            await new Promise((resolve, reject) => {
-                let command = ffmpeg(file.path)
-                    .audioBitrate(bitrate)
-                    .audioChannels(channels);
-
-                // Apply speed filter (atempo)
-                if (speed !== 1.0) {
-                   command = command.audioFilters(`atempo=${speed}`);
-                }
-
-                command
-                    .toFormat('mp3')
-                    .on('error', (err) => {
-                        console.error('An error occurred: ' + err.message);
-                        reject(err);
-                    })
-                    .on('end', () => {
-                        resolve();
-                    })
-                    .save(mp3Path);
-            });
+    const remote = folder ? null : remoteRequest(req);
+    if (remote && !remote.ok) {
+        removeUploads(uploads);
+        return sendRejection(res, remote.rejection);
+    }
+    if (remote) uploads.push(...remote.items);
+    const files = folder ? folder.files : [...audioUploads, ...(remote ? remote.items : [])];
 
-            const mp3Stats = fs.statSync(mp3Path);
+    if (files.length === 0) {
+        removeUploads(uploads);
+        return sendRejection(res, folder && folder.skipped.length > 0 ? folder.skipped : rejection(400, 'no_files', 'No audio files uploaded'));
+    }
 
-            processedFiles.push({
-                originalName: file.originalname,
-                mp3: `/processed/${mp3Filename}`,
-                originalSize: file.size,
-                mp3Size: mp3Stats.size
+    const audioConfigs = parseJsonField(req.body.audioConfigs, 'audio configs');
+    // `audioConfigs[name].cover` names one of the 'covers' uploads
+    const covers = new Map(coverUploads.map(cover => [cover.originalname, cover]));
+    const coverHashes = new Map(await Promise.all(coverUploads.map(async cover => [cover, await hashFile(cover.path)])));
+    const coverFor = (file) => covers.get((audioConfigs[file.originalname] || {}).cover);
+    const batch = await createBatch(resolveSessionId(req), resolveSessionKey(req));
+    const fileOutput = await batchFileOutputs(batch, files, folder);
+    const audioOptions = (file) => {
+        const options = withPreset(preset.options, audioConfigs[file.originalname]) || {};
+        // Upload paths change on every request, so the cover is keyed by its bytes
+        const cover = coverFor(file);
+        return { ...options, cover: cover ? coverHashes.get(cover) : undefined };
+    };
+
+    const job = createJob({
+        type: 'audio',
+        engine: 'ffmpeg',
+        items: files,
+        output: batchOutput(batch),
+        prepare: fetchingRemote(remote, 'audio'),
+        lookup: delivering('audio', folder, fileOutput, (file) => lookupCached('audio', file, audioOptions(file), fileOutput(file))),
+        worker: delivering('audio', folder, fileOutput, async (file, context) => {
+            const cover = coverFor(file);
+            const result = await processAudio(file, audioOptions(file), {
+                ...fileOutput(file),
+                cover: cover && cover.path,
+                signal: context.signal,
+                onProgress: context.onProgress
             });
-        }
+            return storeCached('audio', file, audioOptions(file), fileOutput(file), result);
+        }),
+        onFinish: finishBatch(batch, uploads)
+    });
+
+    res.status(202).json(jobResponse(job, folder && folder.skipped));
+});
+
+router.post('/process-video', receiveUploads(upload.fields([{ name: 'videos' }, { name: 'files' }])), async (req, res) => {
+    let uploads = [];
+    if (req.files['videos']) uploads = uploads.concat(req.files['videos']);
+    if (req.files['files']) uploads = uploads.concat(req.files['files']);
 
-        res.json({ files: processedFiles });
+    const folder = await folderRequest(req, 'video');
+    if (folder && !folder.ok) {
+        removeUploads(uploads);
+        return sendRejection(res, folder.rejection);
+    }
+    const files = folder ? folder.files : uploads;
+
+    if (files.length === 0) {
+        removeUploads(uploads);
+        return sendRejection(res, folder && folder.skipped.length > 0 ? folder.skipped : rejection(400, 'no_files', 'No video files uploaded'));
+    }
+
+    const rejections = await checkFiles(folder ? [] : files, uploadKinds.video);
+    const videoConfigs = parseJsonField(req.body.videoConfigs, 'video configs');
+    // A misspelled format would otherwise leave a file with nothing but a poster
+    Object.entries(videoConfigs).forEach(([name, config]) => {
+        const validation = validateVideoOptions(config);
+        if (!validation.ok) rejections.push(rejection(400, 'invalid_request', validation.error, fixOriginalName(name)));
+    });
+    if (rejections.length > 0) {
+        removeUploads(uploads);
+        return sendRejection(res, rejections);
+    }
+
+    const batch = await createBatch(resolveSessionId(req), resolveSessionKey(req));
+    const fileOutput = await batchFileOutputs(batch, files, folder);
+
+    const job = createJob({
+        type: 'video',
+        engine: 'ffmpeg',
+        items: files,
+        output: batchOutput(batch),
+        worker: withSnippet('video', delivering('video', folder, fileOutput, (file, context) => processVideo(file, videoConfigs[file.originalname] || {}, {
+            ...fileOutput(file),
+            signal: context.signal,
+            onProgress: context.onProgress
+        }))),
+        onFinish: finishBatch(batch, uploads)
+    });
+
+    res.status(202).json(jobResponse(job, folder && folder.skipped));
+});
+
+// Named presets: `options` is what a file's resizeOptions / audioConfigs entry would hold
+router.get('/presets', (req, res) => {
+    res.json({ presets: listPresets(req.query.type) });
+});
+
+router.get('/presets/:name', (req, res) => {
+    const preset = getPreset(req.params.name);
+    if (!preset) {
+        return sendRejection(res, rejection(404, 'not_found', 'Preset not found'));
+    }
+    res.json(preset);
+});
 
+router.post('/presets', async (req, res) => {
+    const validation = validatePreset(req.body);
+    if (!validation.ok) {
+        return sendRejection(res, rejection(400, 'invalid_preset', validation.error));
+    }
+    if (getPreset(validation.name)) {
+        return sendRejection(res, rejection(409, 'preset_exists', `Preset "${validation.name}" already exists`));
+    }
+
+    try {
+        const { preset } = await putPreset(validation.name, req.body);
+        res.status(201).json(preset);
+    } catch (error) {
+        console.error('Could not save preset', error);
+        sendRejection(res, rejection(500, 'save_failed', 'Could not save preset'));
+    }
+});
+
+router.put('/presets/:name', async (req, res) => {
+    const validation = validatePreset(req.body, req.params.name);
+    if (!validation.ok) {
+        return sendRejection(res, rejection(400, 'invalid_preset', validation.error));
+    }
+
+    try {
+        const { preset, created } = await putPreset(validation.name, req.body);
+        res.status(created ? 201 : 200).json(preset);
     } catch (error) {
-         console.error('Audio processing error:', error);
-        res.status(500).json({ error: 'Audio processing failed' });
+        console.error('Could not save preset', error);
+        sendRejection(res, rejection(500, 'save_failed', 'Could not save preset'));
     }
 });
 
+router.delete('/presets/:name', async (req, res) => {
+    try {
+        if (!(await deletePreset(req.params.name))) {
+            return sendRejection(res, rejection(404, 'not_found', 'Preset not found'));
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Could not delete preset', error);
+        sendRejection(res, rejection(500, 'save_failed', 'Could not delete preset'));
+    }
+});
+
+router.get('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return sendRejection(res, rejection(404, 'not_found', 'Job not found'));
+    res.json(serializeJob(job));
+});
+
+// Server-Sent Events: a `snapshot` first, then one `file` event per change and a final `done`
+router.get('/jobs/:id/events', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return sendRejection(res, rejection(404, 'not_found', 'Job not found'));
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('snapshot', serializeJob(job));
+    if (job.status !== 'running') {
+        send('done', serializeJob(job));
+        return res.end();
+    }
+
+    const onFile = (file) => send('file', file);
+    const onDone = (summary) => {
+        send('done', summary);
+        res.end();
+    };
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    job.events.on('file', onFile);
+    job.events.once('done', onDone);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        job.events.off('file', onFile);
+        job.events.off('done', onDone);
+    });
+});
+
+// The finished batch's manifest.json, also served next to its files
+router.get('/jobs/:id/manifest', async (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return sendRejection(res, rejection(404, 'not_found', 'Job not found'));
+    if (job.status === 'running') return sendRejection(res, rejection(409, 'job_running', 'Job is still running'));
+
+    const manifest = job.output && await readManifest(path.join(processedRoot, job.output.sessionId, job.output.batchId));
+    if (!manifest) return sendRejection(res, rejection(404, 'not_found', 'Manifest not found'));
+    res.json(manifest);
+});
+
+router.delete('/jobs/:id', (req, res) => {
+    const job = cancelJob(req.params.id);
+    if (!job) return sendRejection(res, rejection(404, 'not_found', 'Job not found'));
+    res.json(serializeJob(job));
+});
+
+// Drops everything a client produced; the TTL sweep catches the rest. The id
+// is public (it is in every output URL), so the session's key must come along
+router.delete('/sessions/:id', async (req, res) => {
+    if (!isValidSessionId(req.params.id)) {
+        return sendRejection(res, rejection(400, 'invalid_request', 'Invalid session id'));
+    }
+    const outcome = await deleteSession(req.params.id, resolveSessionKey(req));
+    if (outcome === 'missing') return sendRejection(res, rejection(404, 'not_found', 'Session not found'));
+    if (outcome === 'denied') {
+        return sendRejection(res, rejection(403, 'not_authorized', 'Only the key the session was created with can delete its outputs'));
+    }
+    res.status(204).end();
+});
+
 router.post('/download-zip', async (req, res) => {
     try {
-        const { files } = req.body;
+        const { files, filename } = req.body;
 
         if (!files || !Array.isArray(files) || files.length === 0) {
-            return res.status(400).json({ error: 'No files specified' });
+            return sendRejection(res, rejection(400, 'no_files', 'No files specified'));
+        }
+        const archiveOptions = resolveArchiveOptions(req.body);
+        if (!archiveOptions.ok) return sendRejection(res, rejection(400, 'invalid_request', archiveOptions.error));
+
+        const resolved = files.map(resolveProcessedFile);
+        const invalid = resolved
+            .map((source, index) => source.ok ? null : rejection(400, 'invalid_file', source.error, String(files[index])))
+            .filter(Boolean);
+        if (invalid.length > 0) return sendRejection(res, invalid);
+
+        // Outputs of an expired session are skipped, as long as something is left to archive
+        const sources = resolved.filter(source => fs.existsSync(source.path));
+        if (sources.length === 0) {
+            return sendRejection(res, rejection(404, 'missing_file', 'None of the files exist anymore'));
         }
 
         const archive = archiver('zip', {
             zlib: { level: 9 }
         });
 
-        res.attachment('images.zip');
+        res.attachment(safeDownloadName(filename, 'anvl-processed.zip'));
 
         archive.pipe(res);
 
-        files.forEach(fileUrl => {
-            const fileName = path.basename(fileUrl);
-            const filePath = path.join(__dirname, 'processed', fileName);
-            
-            if (fs.existsSync(filePath)) {
-                archive.file(filePath, { name: fileName });
-            }
-        });
+        await fillArchive(archive, sources, archiveOptions);
 
         await archive.finalize();
 
     } catch (error) {
         console.error('Zip error:', error);
-        res.status(500).json({ error: 'Zip creation failed' });
+        // Once the archive is streaming, all that is left is to cut it short
+        if (res.headersSent) res.destroy(error);
+        else sendRejection(res, rejection(500, 'download_failed', 'Zip creation failed'));
     }
 });
 
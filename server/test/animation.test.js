@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const ffmpegPath = require('ffmpeg-static');
+const { readAnimation } = require('../lib/animation');
+const { processImage } = require('../lib/images');
+const { uploadKinds, checkFile } = require('../lib/validation');
+const { tempDir, uploadedFile, hasFfmpeg } = require('./helpers');
+
+// Animated AVIF needs `-fps_mode`, which came with ffmpeg 5.1
+const hasFpsMode = hasFfmpeg && spawnSync(ffmpegPath, ['-hide_banner', '-h', 'full'], { encoding: 'utf8', maxBuffer: 16 * 1024 * 1024 }).stdout.includes('fps_mode');
+const skipAvif = hasFpsMode ? false : 'the ffmpeg binary is missing or older than 5.1';
+
+// Red, green and blue 40x20 frames shown for 50, 200 and 300 ms, played twice
+async function animatedGif(dir) {
+    const frames = await Promise.all(['#ff0000', '#00ff00', '#0000ff'].map(background =>
+        sharp({ create: { width: 40, height: 20, channels: 3, background } }).png().toBuffer()));
+    const filePath = path.join(dir, 'blink.gif');
+    await sharp(frames, { join: { animated: true } }).gif({ delay: [50, 200, 300], loop: 2 }).toFile(filePath);
+    return uploadedFile(filePath);
+}
+
+function convert(file, dir, options) {
+    return processImage(file, { outputDir: dir, publicPath: '/processed/test', ...options });
+}
+
+test('only multi-frame GIFs and WebPs count as animations', () => {
+    assert.equal(readAnimation({ format: 'png', pages: 1 }), null);
+    assert.equal(readAnimation({ format: 'tiff', pages: 4 }), null);
+    assert.equal(readAnimation({ format: 'gif', pages: 1 }), null);
+    // Browsers play delays under 20ms at 100ms
+    assert.deepEqual(readAnimation({ format: 'gif', pages: 3, delay: [10, 250], loop: 3 }), { frames: 3, delay: [100, 250, 100], loop: 3 });
+    assert.equal(readAnimation({ format: 'webp', pages: 2 }).loop, 0);
+});
+
+test('animated GIFs keep their frames, delays and loop count in WebP', async (t) => {
+    const dir = await tempDir(t);
+    const file = await animatedGif(dir);
+    assert.equal(await checkFile(file, uploadKinds.image), null);
+
+    const result = await convert(file, dir, { formats: ['webp', 'jpeg'], resizeOptions: { width: 20 } });
+    assert.deepEqual(result.animation, { frames: 3, delay: [50, 200, 300], loop: 2 });
+    assert.deepEqual(result.variants.map(variant => [variant.format, variant.width, variant.height, Boolean(variant.animated)]), [
+        ['webp', 20, 10, true],
+        ['jpeg', 20, 10, false]
+    ]);
+
+    const webp = await sharp(path.join(dir, 'blink.webp')).metadata();
+    assert.deepEqual([webp.pages, webp.delay, webp.loop, webp.width, webp.height], [3, [50, 200, 300], 2, 20, 10]);
+    assert.equal((await sharp(path.join(dir, 'blink.jpg')).metadata()).pages, undefined);
+    // The resized copy of the original stays an animated GIF
+    assert.equal(result.resizedOriginal, '/processed/test/blink_resized.gif');
+    const copy = await sharp(path.join(dir, 'blink_resized.gif')).metadata();
+    assert.deepEqual([copy.pages, copy.width], [3, 20]);
+    assert.ok(result.resizedOriginalSize > 0);
+});
+
+test('animated GIFs become animated AVIFs through ffmpeg', { skip: skipAvif }, async (t) => {
+    const dir = await tempDir(t);
+    const result = await convert(await animatedGif(dir), dir, { formats: ['avif'] });
+
+    assert.deepEqual(result.variants.map(variant => [variant.width, variant.height, variant.animated]), [[40, 20, true]]);
+    const avif = await fs.promises.readFile(path.join(dir, 'blink.avif'));
+    // An image sequence brand rather than a still image
+    assert.equal(avif.toString('latin1', 8, 12), 'avis');
+});
+
+test('TIFF sources are read and keep a TIFF copy', async (t) => {
+    const dir = await tempDir(t);
+    const input = path.join(dir, 'scan.tif');
+    await sharp({ create: { width: 80, height: 60, channels: 3, background: '#446688' } }).tiff().toFile(input);
+    const file = uploadedFile(input);
+    assert.equal(await checkFile(file, uploadKinds.image), null);
+
+    const result = await convert(file, dir, { formats: ['webp'], resizeOptions: { width: 40 } });
+    assert.equal(result.sourceFormat, 'tiff');
+    assert.equal(result.resizedOriginal, '/processed/test/scan_resized.tif');
+    const copy = await sharp(path.join(dir, 'scan_resized.tif')).metadata();
+    assert.deepEqual([copy.format, copy.width, copy.height], ['tiff', 40, 30]);
+});
+
+test('SVG sources are rasterized at the requested density', async (t) => {
+    const dir = await tempDir(t);
+    const input = path.join(dir, 'logo.svg');
+    await fs.promises.writeFile(input, '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="50"><rect width="100" height="50" fill="#c00"/></svg>');
+    const file = uploadedFile(input);
+    assert.equal(await checkFile(file, uploadKinds.image), null);
+
+    const plain = await convert(file, dir, { formats: ['webp'] });
+    assert.deepEqual([plain.sourceFormat, plain.width, plain.height], ['svg', 100, 50]);
+
+    const sharper = await convert(file, dir, { formats: ['webp'], resizeOptions: { density: 144, width: 150 } });
+    assert.deepEqual([sharper.width, sharper.height], [150, 75]);
+    // SVG copies are written as PNG
+    assert.equal(sharper.resizedOriginal, '/processed/test/logo_resized.png');
+
+    const dense = await convert(file, dir, { formats: ['webp'], resizeOptions: { density: 288 } });
+    assert.deepEqual([dense.width, dense.height], [400, 200]);
+});
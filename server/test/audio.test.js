@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, sineWav, uploadedFile, hasFfmpeg } = require('./helpers');
+
+const skip = hasFfmpeg ? false : 'the ffmpeg binary is not installed';
+
+// Integrated loudness (LUFS) of a file, as a loudnorm analysis pass measures it
+async function measureLoudness(filePath) {
+    const { ffmpeg, runCommand } = require('../lib/ffmpeg');
+    const command = ffmpeg(filePath).noVideo().audioFilters('loudnorm=print_format=json').format('null').output('-');
+    const stderr = await runCommand(command);
+    const stats = String(stderr).match(/\{[^{}]*"input_i"[^{}]*\}/g).pop();
+    return Number(JSON.parse(stats).input_i);
+}
+
+test('normalized audio with fades lands on the target loudness', { skip }, async (t) => {
+    const { processAudio } = require('../lib/audio');
+    const dir = await tempDir(t);
+    const input = path.join(dir, 'tone.wav');
+    await fs.promises.writeFile(input, sineWav({ seconds: 12, amplitude: 0.05 }));
+
+    const result = await processAudio(uploadedFile(input), {
+        formats: ['aac'],
+        normalize: true,
+        targetLufs: -16,
+        fadeIn: 1,
+        fadeOut: 1,
+        previews: false
+    }, { outputDir: dir, publicPath: '/processed/test' });
+
+    assert.ok(Math.abs(result.loudness.after.integrated - -16) <= 1, `loudnorm reported ${result.loudness.after.integrated} LUFS`);
+    // The fades take a little off the whole, never the several LU a mis-measured pass would
+    const measured = await measureLoudness(path.join(dir, 'tone.m4a'));
+    assert.ok(measured <= -15 && measured >= -17.5, `the output measures ${measured} LUFS`);
+});
+
+test('silent audio is left unnormalized with a note', { skip }, async (t) => {
+    const { processAudio } = require('../lib/audio');
+    const dir = await tempDir(t);
+    const input = path.join(dir, 'silence.wav');
+    await fs.promises.writeFile(input, sineWav({ seconds: 2, amplitude: 0 }));
+
+    const result = await processAudio(uploadedFile(input), { normalize: true, previews: false }, { outputDir: dir, publicPath: '/processed/test' });
+
+    assert.equal(result.loudness.before, undefined);
+    assert.match(result.loudness.note, /silent input/);
+});
+
+test('FLAC and AIFF sources are accepted and encoded to every web format', { skip }, async (t) => {
+    const { processAudio } = require('../lib/audio');
+    const { ffmpeg, runCommand, readDuration } = require('../lib/ffmpeg');
+    const { uploadKinds, sniffType, checkFiles } = require('../lib/validation');
+    const dir = await tempDir(t);
+    const wav = path.join(dir, 'tone.wav');
+    await fs.promises.writeFile(wav, sineWav({ seconds: 1 }));
+    const flac = path.join(dir, 'tone.flac');
+    const aiff = path.join(dir, 'tone.aiff');
+    await runCommand(ffmpeg(wav).output(flac));
+    await runCommand(ffmpeg(wav).output(aiff));
+    assert.deepEqual(await checkFiles([uploadedFile(flac), uploadedFile(aiff)], uploadKinds.audio), []);
+
+    const result = await processAudio(uploadedFile(flac), {
+        formats: ['mp3', 'opus', 'aac', 'ogg'],
+        channels: 1,
+        previews: false
+    }, { outputDir: dir, publicPath: '/processed/test' });
+
+    assert.deepEqual(result.formats, ['mp3', 'opus', 'aac', 'ogg']);
+    const outputs = { mp3: 'tone.mp3', opus: 'tone.webm', aac: 'tone.m4a', ogg: 'tone.ogg' };
+    for (const [format, name] of Object.entries(outputs)) {
+        const output = path.join(dir, name);
+        assert.equal(result[format], `/processed/test/${name}`);
+        assert.equal(result[`${format}Size`], fs.statSync(output).size);
+        assert.ok(Math.abs(await readDuration(output) - 1) < 0.1, `${name} lasts about a second`);
+    }
+    assert.deepEqual(await Promise.all(['tone.webm', 'tone.m4a', 'tone.ogg'].map(name => sniffType(path.join(dir, name)))), ['webm', 'mp4', 'ogg']);
+});
+
+test('leading and trailing silence is trimmed', { skip }, async (t) => {
+    const { processAudio } = require('../lib/audio');
+    const { ffmpeg, runCommand, readDuration } = require('../lib/ffmpeg');
+    const dir = await tempDir(t);
+    const silence = path.join(dir, 'silence.wav');
+    const tone = path.join(dir, 'tone.wav');
+    const padded = path.join(dir, 'padded.wav');
+    await fs.promises.writeFile(silence, sineWav({ seconds: 1, amplitude: 0 }));
+    await fs.promises.writeFile(tone, sineWav({ seconds: 1 }));
+    await runCommand(ffmpeg(silence).input(tone).input(silence).complexFilter('[0:a][1:a][2:a]concat=n=3:v=0:a=1').output(padded));
+
+    await processAudio(uploadedFile(padded), { formats: ['aac'], trimSilence: true, previews: false }, { outputDir: dir, publicPath: '/processed/test' });
+
+    const duration = await readDuration(path.join(dir, 'padded.m4a'));
+    assert.ok(duration > 0.95 && duration < 1.3, `the trimmed output lasts ${duration}s`);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { tempDir } = require('./helpers');
+
+// Room for two 1000-byte entries, read when the module loads
+const entrySize = 1000;
+const cacheRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'anvl-cache-'));
+process.env.ANVL_CACHE_DIR = cacheRoot;
+process.env.ANVL_CACHE_MAX_MB = String((2.5 * entrySize) / 1024 / 1024);
+const { lookupCached, storeCached } = require('../lib/cache');
+
+test.after(() => fs.promises.rm(cacheRoot, { recursive: true, force: true }));
+
+// An input file plus the output a pipeline would have written for it
+async function encoded(dir, name, size = entrySize) {
+    const input = path.join(dir, `${name}.png`);
+    await fs.promises.writeFile(input, `input ${name}`);
+    const output = { outputDir: dir, publicPath: '/processed/s/b', stem: name };
+    await fs.promises.writeFile(path.join(dir, `${name}.webp`), Buffer.alloc(size, name));
+    return {
+        file: { path: input, originalname: `${name}.png`, size: 10 },
+        output,
+        result: { webp: `/processed/s/b/${name}.webp` }
+    };
+}
+
+const target = (dir, stem) => ({ outputDir: dir, publicPath: '/processed/s/c', stem });
+
+test('a stored result is copied back under the new stem', async (t) => {
+    const dir = await tempDir(t);
+    const { file, output, result } = await encoded(dir, 'first');
+
+    assert.equal((await storeCached('image', file, { q: 1 }, output, result)).cached, false);
+    assert.equal(await lookupCached('image', file, { q: 2 }, target(dir, 'other')), null);
+
+    const hit = await lookupCached('image', file, { q: 1 }, target(dir, 'copy'));
+    assert.equal(hit.cached, true);
+    assert.equal(hit.webp, '/processed/s/c/copy.webp');
+    assert.deepEqual(await fs.promises.readFile(path.join(dir, 'copy.webp')), Buffer.alloc(entrySize, 'first'));
+});
+
+test('the least recently used entry is evicted past the size cap', async (t) => {
+    const dir = await tempDir(t);
+    const a = await encoded(dir, 'a');
+    const b = await encoded(dir, 'b');
+    const c = await encoded(dir, 'c');
+
+    await storeCached('image', a.file, {}, a.output, a.result);
+    await storeCached('image', b.file, {}, b.output, b.result);
+    // Using `a` makes `b` (and the earlier test's entry) the oldest
+    assert.ok(await lookupCached('image', a.file, {}, target(dir, 'a-hit')));
+    await storeCached('image', c.file, {}, c.output, c.result);
+
+    assert.ok(await lookupCached('image', a.file, {}, target(dir, 'a-again')));
+    assert.equal(await lookupCached('image', b.file, {}, target(dir, 'b-again')), null);
+    assert.ok(await lookupCached('image', c.file, {}, target(dir, 'c-again')));
+});
+
+test('an entry evicted while it is being copied out is still copied whole', async (t) => {
+    const dir = await tempDir(t);
+    const hitDir = path.join(dir, 'hits');
+    await fs.promises.mkdir(hitDir);
+    const pinned = await encoded(dir, 'pinned');
+    const big = await encoded(dir, 'big', 2 * entrySize);
+    await storeCached('image', pinned.file, {}, pinned.output, pinned.result);
+
+    // Holds the lookup's copy until the big entry has been stored
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const copyFile = fs.promises.copyFile;
+    t.mock.method(fs.promises, 'copyFile', async (from, to, mode) => {
+        if (to.startsWith(hitDir)) await held;
+        return copyFile(from, to, mode);
+    });
+
+    const lookup = lookupCached('image', pinned.file, {}, target(hitDir, 'hit'));
+    await new Promise(resolve => setImmediate(resolve));
+    await storeCached('image', big.file, {}, big.output, big.result);
+    release();
+
+    const hit = await lookup;
+    assert.equal(hit.webp, '/processed/s/c/hit.webp');
+    assert.deepEqual(await fs.promises.readFile(path.join(hitDir, 'hit.webp')), Buffer.alloc(entrySize, 'pinned'));
+    // Gone once the copy is done
+    assert.equal(await lookupCached('image', pinned.file, {}, target(dir, 'after')), null);
+});
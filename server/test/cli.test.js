@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile, spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { globToRegExp, expandInputs } = require('../lib/scan');
+const { tempDir } = require('./helpers');
+
+const cli = path.join(__dirname, '..', 'bin', 'anvl.js');
+
+// Runs the CLI to completion inside `cwd`, with a preset store of its own
+function anvl(args, cwd) {
+    return new Promise((resolve) => {
+        const env = { ...process.env, ANVL_PRESETS_FILE: path.join(cwd, 'presets.json') };
+        execFile(process.execPath, [cli, ...args], { cwd, env, timeout: 60000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+async function writeImage(filePath, width = 64) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await sharp({ create: { width, height: width / 2, channels: 3, background: '#c06020' } }).png().toFile(filePath);
+}
+
+// A source tree with nested images, a hidden one and a file that is not an image
+async function sourceTree(dir) {
+    await writeImage(path.join(dir, 'src', 'hero.png'));
+    await writeImage(path.join(dir, 'src', 'icons', 'small', 'dot.png'));
+    await writeImage(path.join(dir, 'src', '.cache', 'skip.png'));
+    await fs.promises.writeFile(path.join(dir, 'src', 'notes.txt'), 'not an image');
+}
+
+test('glob patterns match across folders only with **', async (t) => {
+    assert.ok(globToRegExp('**/*.png').test('a/b/c.png'));
+    assert.ok(globToRegExp('**/*.png').test('c.png'));
+    assert.equal(globToRegExp('*.png').test('a/c.png'), false);
+    assert.ok(globToRegExp('photo-?.{jpg,png}').test('Photo-1.JPG'));
+    assert.ok(globToRegExp('[!a]*.png').test('b.png'));
+
+    const dir = await tempDir(t);
+    await sourceTree(dir);
+    const { files } = await expandInputs([path.join(dir, 'src', '**', '*.png')], { extensions: new Set(['.png']) });
+    assert.deepEqual(files.map(file => file.relative), ['hero.png', 'icons/small/dot.png']);
+});
+
+test('a folder is processed recursively into the same structure', async (t) => {
+    const dir = await tempDir(t);
+    await sourceTree(dir);
+
+    const { code, stdout } = await anvl(['images', 'src', '--out', 'public', '--widths', '32,640', '--formats', 'webp', '--json'], dir);
+    assert.equal(code, 0);
+    const outcomes = JSON.parse(stdout);
+    assert.deepEqual(outcomes.map(outcome => [outcome.file, outcome.status]), [['hero.png', 'done'], ['icons/small/dot.png', 'done']]);
+    assert.deepEqual(outcomes[0].result.variants.map(variant => variant.url), ['public/hero.webp', 'public/hero-32w.webp']);
+
+    const written = await fs.promises.readdir(path.join(dir, 'public'), { recursive: true });
+    assert.deepEqual(written.filter(name => name.endsWith('.webp')).sort(), ['hero-32w.webp', 'hero.webp', 'icons/small/dot-32w.webp', 'icons/small/dot.webp']);
+});
+
+test('a failed file makes the exit code non-zero without stopping the rest', async (t) => {
+    const dir = await tempDir(t);
+    await writeImage(path.join(dir, 'src', 'good.png'));
+    await fs.promises.writeFile(path.join(dir, 'src', 'broken.png'), 'not a png');
+
+    const { code, stdout, stderr } = await anvl(['images', 'src', '-o', 'out', '--formats', 'webp'], dir);
+    assert.equal(code, 1);
+    assert.match(stderr, /✖ broken\.png: /);
+    assert.match(stdout, /1 processed, 1 failed/);
+    assert.ok(fs.existsSync(path.join(dir, 'out', 'good.webp')));
+});
+
+test('usage errors exit with 2', async (t) => {
+    const dir = await tempDir(t);
+    assert.equal((await anvl(['images', 'src'], dir)).code, 2);
+    assert.equal((await anvl(['images', '--out', 'out'], dir)).code, 2);
+    assert.equal((await anvl(['images', '.', '--out', 'out', '--bogus'], dir)).code, 2);
+    assert.equal((await anvl(['resize'], dir)).code, 2);
+    assert.equal((await anvl(['images', '.', '--out', 'out'], dir)).code, 1);
+});
+
+test('watch mode processes files saved after it started', async (t) => {
+    const dir = await tempDir(t);
+    await writeImage(path.join(dir, 'src', 'first.png'));
+    const child = spawn(process.execPath, [cli, 'images', 'src', '--out', 'out', '--formats', 'webp', '--watch'], {
+        cwd: dir,
+        env: { ...process.env, ANVL_PRESETS_FILE: path.join(dir, 'presets.json') }
+    });
+    t.after(() => child.kill());
+
+    let output = '';
+    child.stdout.on('data', (data) => {
+        output += data;
+    });
+    const waitFor = (pattern) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`timed out waiting for ${pattern}, got: ${output}`)), 20000);
+        const check = () => {
+            if (!pattern.test(output)) return;
+            clearTimeout(timer);
+            child.stdout.off('data', check);
+            resolve();
+        };
+        child.stdout.on('data', check);
+        check();
+    });
+
+    await waitFor(/Watching src/);
+    assert.ok(fs.existsSync(path.join(dir, 'out', 'first.webp')));
+    await writeImage(path.join(dir, 'src', 'later', 'second.png'));
+    await waitFor(/✔ later\/second\.png/);
+    assert.ok(fs.existsSync(path.join(dir, 'out', 'later', 'second.webp')));
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const sharp = require('sharp');
+const { resolveEncoding, outputFilename } = require('../lib/encoders');
+const { processImage } = require('../lib/images');
+const { tempDir, uploadedFile } = require('./helpers');
+
+async function noisyImage(dir) {
+    const filePath = path.join(dir, 'noise.png');
+    await sharp({ create: { width: 120, height: 80, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } } }).png().toFile(filePath);
+    return uploadedFile(filePath);
+}
+
+test('file formats replace the batch list and encoder settings merge one by one', () => {
+    assert.deepEqual(resolveEncoding().formats, ['avif', 'webp']);
+    assert.deepEqual(resolveEncoding({ formats: ['gif', 'tiff'] }).formats, ['avif', 'webp']);
+    // Always in write order, whatever order they were asked for in
+    assert.deepEqual(resolveEncoding({ formats: ['png', 'jpeg', 'bmp'] }).formats, ['jpeg', 'png']);
+    assert.deepEqual(resolveEncoding({ formats: ['jpeg'] }, { formats: ['webpLossless', 'avif'] }).formats, ['avif', 'webpLossless']);
+
+    const { settings } = resolveEncoding(
+        { encoders: { avif: { effort: 7, chromaSubsampling: '4:2:0' }, png: { colors: 999, dither: 'x' } } },
+        { encoders: { avif: { effort: 2 }, jpeg: { progressive: false, chromaSubsampling: '4:1:1' } } }
+    );
+    assert.deepEqual(settings.avif, { effort: 2, chromaSubsampling: '4:2:0' });
+    assert.deepEqual(settings.jpeg, { progressive: false, chromaSubsampling: '4:2:0' });
+    assert.deepEqual(settings.png, { colors: 256, dither: 1 });
+    assert.deepEqual(settings.webp, { effort: 4, alphaQuality: 100, nearLossless: false });
+
+    assert.equal(outputFilename('photo', 'jpeg', '-640w'), 'photo-640w.jpg');
+    assert.equal(outputFilename('photo', 'webpLossless'), 'photo-lossless.webp');
+});
+
+test('every chosen format is written with its settings', async (t) => {
+    const dir = await tempDir(t);
+    const file = await noisyImage(dir);
+
+    const result = await processImage(file, {
+        formats: ['png', 'jpeg', 'webpLossless', 'avif', 'webp'],
+        encoders: { jpeg: { progressive: false, chromaSubsampling: '4:4:4' }, png: { colors: 16 } },
+        resizeOptions: { width: 60 },
+        outputDir: dir,
+        publicPath: '/processed/test',
+        stem: 'out'
+    });
+
+    assert.deepEqual(result.formats, ['avif', 'webp', 'jpeg', 'png', 'webpLossless']);
+    assert.deepEqual(result.variants.map(variant => path.basename(variant.url)), ['out.avif', 'out.webp', 'out.jpg', 'out.png', 'out-lossless.webp']);
+    // The source is a PNG and PNG is an output, so no extra resized copy
+    assert.equal(result.resizedOriginal, undefined);
+
+    const read = (name) => sharp(path.join(dir, name)).metadata();
+    const jpeg = await read('out.jpg');
+    assert.deepEqual([jpeg.format, jpeg.isProgressive, jpeg.chromaSubsampling, jpeg.width], ['jpeg', false, '4:4:4', 60]);
+    const png = await read('out.png');
+    assert.deepEqual([png.isPalette, png.bitsPerSample], [true, 4]);
+    assert.equal((await read('out.avif')).format, 'heif');
+
+    // Lossless WebP keeps every pixel of the resized image
+    const resized = await sharp(file.path).resize({ width: 60 }).raw().toBuffer();
+    assert.deepEqual(await sharp(path.join(dir, 'out-lossless.webp')).raw().toBuffer(), resized);
+    assert.equal(result.quality.webpLossless, undefined);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { resolveFolderOptions, scanFolder, assignFolderStems, createDelivery } = require('../lib/folders');
+const { tempDir } = require('./helpers');
+
+async function png(filePath) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#fc0' } }).png().toFile(filePath);
+}
+
+// What the image pipeline leaves in a batch for a file: one WebP variant under its stem
+async function processed(batchDir, file, stem) {
+    await fs.promises.writeFile(path.join(batchDir, `${stem}.webp`), `webp of ${file.relative}`);
+    return { variants: [{ url: `/processed/s/b/${stem}.webp`, format: 'webp' }] };
+}
+
+// Runs a whole folder batch the way the folder routes do, resolving to the delivered outputs per file
+async function runBatch(t, options) {
+    const folder = await resolveFolderOptions(options);
+    assert.equal(folder.ok, true);
+    const scan = await scanFolder(folder, 'image');
+    const batchDir = await tempDir(t);
+    const stems = assignFolderStems(scan.files);
+    const deliver = createDelivery(folder, scan);
+
+    const delivered = {};
+    for (const file of scan.files) {
+        const result = await processed(batchDir, file, stems.get(file));
+        const outputs = await deliver('images', result, { file, outputDir: batchDir, publicPath: '/processed/s/b' });
+        delivered[file.relative] = outputs.map(output => [path.relative(folder.target || folder.root, output.path), output.status]);
+    }
+    return { scan, delivered };
+}
+
+test('folder options are validated', async (t) => {
+    const root = await tempDir(t);
+
+    assert.deepEqual(await resolveFolderOptions({ root: 'photos' }), { ok: false, error: 'Folder path must be absolute' });
+    assert.deepEqual(await resolveFolderOptions({ root: path.join(root, 'missing') }), { ok: false, error: 'Folder does not exist' });
+    assert.equal((await resolveFolderOptions({ root })).error, 'Target folder path must be absolute');
+    assert.equal((await resolveFolderOptions({ root, layout: 'alongside', overwrite: 'merge' })).error, 'Unknown overwrite policy: merge');
+    assert.equal((await resolveFolderOptions({ root, layout: 'alongside', include: [''] })).error, 'Patterns must be a list of globs');
+    assert.deepEqual(await resolveFolderOptions({ root, layout: 'alongside', include: './shots/**' }), {
+        ok: true,
+        root,
+        target: null,
+        layout: 'alongside',
+        overwrite: 'skip',
+        include: ['shots/**'],
+        exclude: []
+    });
+});
+
+test('a scan skips hidden files, the target folder and refused files', async (t) => {
+    const root = await tempDir(t);
+    await png(path.join(root, 'b.png'));
+    await png(path.join(root, 'trip', 'a.png'));
+    await png(path.join(root, '.cache', 'c.png'));
+    await png(path.join(root, 'out', 'd.png'));
+    await png(path.join(root, 'drafts', 'e.png'));
+    await png(path.join(root, 'fake.jpg'));
+    await fs.promises.writeFile(path.join(root, 'notes.txt'), 'not an image');
+
+    const folder = await resolveFolderOptions({ root, target: path.join(root, 'out'), exclude: ['drafts/**'] });
+    const scan = await scanFolder(folder, 'image');
+
+    assert.deepEqual(scan.files.map(file => file.relative), ['b.png', 'trip/a.png']);
+    assert.deepEqual(scan.skipped.map(({ code, file }) => [code, file]), [['type_mismatch', 'fake.jpg']]);
+    assert.ok(scan.sources.has(path.join(root, 'fake.jpg').toLowerCase()));
+});
+
+test('a renamed output never takes a name another file of the batch will deliver', async (t) => {
+    const root = await tempDir(t);
+    const target = await tempDir(t);
+    await png(path.join(root, 'logo.png'));
+    await png(path.join(root, 'logo-2.png'));
+    await fs.promises.writeFile(path.join(target, 'logo.webp'), 'from an earlier export');
+
+    const { delivered } = await runBatch(t, { root, target, overwrite: 'rename' });
+
+    assert.deepEqual(delivered, {
+        'logo-2.png': [['logo-2.webp', 'written']],
+        'logo.png': [['logo-3.webp', 'renamed']]
+    });
+    assert.equal(await fs.promises.readFile(path.join(target, 'logo.webp'), 'utf8'), 'from an earlier export');
+    assert.equal(await fs.promises.readFile(path.join(target, 'logo-2.webp'), 'utf8'), 'webp of logo-2.png');
+});
+
+test('outputs written alongside the originals are left out of later scans', async (t) => {
+    const root = await tempDir(t);
+    await png(path.join(root, 'cover.png'));
+    await png(path.join(root, 'trip', 'beach.png'));
+
+    const first = await runBatch(t, { root, layout: 'alongside', overwrite: 'rename' });
+    assert.deepEqual(first.delivered, {
+        'cover.png': [['cover.webp', 'written']],
+        'trip/beach.png': [[path.join('trip', 'beach.webp'), 'written']]
+    });
+
+    // The WebP outputs are images too, yet the rerun only sees the originals
+    const second = await runBatch(t, { root, layout: 'alongside', overwrite: 'rename' });
+    assert.deepEqual(second.scan.files.map(file => file.relative), ['cover.png', 'trip/beach.png']);
+    assert.deepEqual(second.delivered, {
+        'cover.png': [['cover-2.webp', 'renamed']],
+        'trip/beach.png': [[path.join('trip', 'beach-2.webp'), 'renamed']]
+    });
+
+    const third = await runBatch(t, { root, layout: 'alongside', overwrite: 'skip' });
+    assert.deepEqual(third.scan.files.map(file => file.relative), ['cover.png', 'trip/beach.png']);
+    assert.deepEqual(third.delivered['cover.png'], [['cover.webp', 'skipped']]);
+});
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpegPath = require('ffmpeg-static');
+
+// A scratch folder removed once the test is over
+async function tempDir(t) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'anvl-test-'));
+    t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// A mono 16-bit PCM WAV holding a sine tone at `amplitude` (0-1 of full scale)
+function sineWav({ seconds = 1, frequency = 440, amplitude = 0.5, rate = 48000 } = {}) {
+    const samples = Math.round(seconds * rate);
+    const buffer = Buffer.alloc(44 + samples * 2);
+    buffer.write('RIFF', 0, 'latin1');
+    buffer.writeUInt32LE(36 + samples * 2, 4);
+    buffer.write('WAVEfmt ', 8, 'latin1');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt32LE(rate, 24);
+    buffer.writeUInt32LE(rate * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36, 'latin1');
+    buffer.writeUInt32LE(samples * 2, 40);
+    for (let i = 0; i < samples; i += 1) {
+        buffer.writeInt16LE(Math.round(Math.sin((2 * Math.PI * frequency * i) / rate) * amplitude * 32767), 44 + i * 2);
+    }
+    return buffer;
+}
+
+// Multer-like file for a path, named the way multer names uploads
+function uploadedFile(filePath, name = path.basename(filePath)) {
+    return { path: filePath, originalname: Buffer.from(name).toString('latin1'), size: fs.statSync(filePath).size };
+}
+
+// The ffmpeg-static binary is downloaded at install time and may be missing
+const hasFfmpeg = Boolean(ffmpegPath) && fs.existsSync(ffmpegPath);
+
+module.exports = {
+    tempDir,
+    sineWav,
+    uploadedFile,
+    hasFfmpeg
+};
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { processIcons } = require('../lib/icons');
+const { tempDir, uploadedFile } = require('./helpers');
+
+test('the favicon.svg copy of an SVG logo carries no script or external reference', async (t) => {
+    const dir = await tempDir(t);
+    const logo = path.join(dir, 'logo.svg');
+    await fs.promises.writeFile(logo, `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="64" height="64" onload="alert(1)">
+  <script>alert(2)</script>
+  <style>@import 'https://example.com/x.css'; rect { fill: url(https://example.com/p.png) }</style>
+  <defs><linearGradient id="g"><stop offset="0" stop-color="#f00"/></linearGradient></defs>
+  <a href="javascript:alert(3)"><rect id="r" width="64" height="64" fill="url(#g)" onclick="alert(4)"/></a>
+  <use xlink:href="#r"/>
+  <image href="https://example.com/tracker.png" width="1" height="1"/>
+  <foreignObject><div xmlns="http://www.w3.org/1999/xhtml" onmouseover="alert(5)"/></foreignObject>
+</svg>`);
+
+    const result = await processIcons(uploadedFile(logo), {}, { outputDir: dir, publicPath: '/processed/test' });
+    const svg = await fs.promises.readFile(path.join(dir, 'logo-icons', 'favicon.svg'), 'utf8');
+
+    assert.doesNotMatch(svg, /<script|foreignObject|javascript:|\son[a-z]+=|@import|https:\/\/example\.com/i);
+    assert.match(svg, /fill="url\(#g\)"/);
+    assert.match(svg, /xlink:href="#r"/);
+    assert.equal(result.files.find(output => output.name === 'favicon.svg').size, Buffer.byteLength(svg));
+});
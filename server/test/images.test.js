@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { resolveResponsiveWidths, applyResize, validateBudget, processImage } = require('../lib/images');
+const { resultSnippet } = require('../lib/manifest');
+const { tempDir, uploadedFile } = require('./helpers');
+
+// Blurred noise, so the encoded size follows the quality closely
+async function noisyImage(dir, width = 400, height = 300) {
+    const filePath = path.join(dir, 'noise.png');
+    await sharp({ create: { width, height, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } } }).blur(1.5).png().toFile(filePath);
+    return uploadedFile(filePath);
+}
+
+function convert(file, dir, resizeOptions, options = {}) {
+    return processImage(file, { resizeOptions, formats: ['webp'], outputDir: dir, publicPath: '/processed/test', ...options });
+}
+
+test('a byte budget settles on the highest quality that fits', async (t) => {
+    const dir = await tempDir(t);
+    const file = await noisyImage(dir);
+
+    const result = await convert(file, dir, { budget: { webp: 12000 } });
+    const report = result.budget.webp;
+    assert.equal(report.met, true);
+    assert.ok(report.size <= 12000);
+    assert.equal(report.quality, result.quality.webp);
+    assert.equal(fs.statSync(path.join(dir, 'noise.webp')).size, report.size);
+
+    // One step up no longer fits
+    const above = await sharp(file.path).webp({ quality: report.quality + 1 }).toBuffer();
+    assert.ok(above.length > 12000);
+});
+
+test('an unreachable budget is flagged, or met by downscaling when allowed', async (t) => {
+    const dir = await tempDir(t);
+    const file = await noisyImage(dir);
+
+    const missed = (await convert(file, dir, { budget: { webp: 1500 } })).budget.webp;
+    assert.equal(missed.met, false);
+    assert.equal(missed.quality, 20);
+    assert.equal(missed.width, 400);
+    assert.equal(missed.note, 'WEBP budget of 1500 bytes cannot be met at minimum quality 20');
+
+    const shrunk = (await convert(file, dir, { budget: { webp: 1500, allowDownscale: true } })).budget.webp;
+    assert.equal(shrunk.met, true);
+    assert.ok(shrunk.size <= 1500);
+    assert.ok(shrunk.width < 400);
+    assert.equal(shrunk.height, Math.round((shrunk.width * 300) / 400));
+});
+
+test('budgets must be positive byte counts', async (t) => {
+    assert.deepEqual(validateBudget(undefined), { ok: true });
+    assert.deepEqual(validateBudget({ avif: 20000, webp: null, minQuality: 30, allowDownscale: true }), { ok: true });
+
+    assert.equal(validateBudget({ webp: 'abc' }).error, 'WEBP budget must be a positive number of bytes, got "abc"');
+    assert.match(validateBudget({ avif: 0 }).error, /AVIF budget/);
+    assert.match(validateBudget({ jpeg: -5 }).error, /JPEG budget/);
+    assert.match(validateBudget({ png: Infinity }).error, /PNG budget/);
+    assert.match(validateBudget([100]).error, /object of byte sizes/);
+
+    const dir = await tempDir(t);
+    await assert.rejects(convert(await noisyImage(dir), dir, { budget: { webp: '20kb' } }), /WEBP budget/);
+});
+
+test('breakpoints below the source width are kept, largest first', () => {
+    assert.deepEqual(resolveResponsiveWidths(null, { widths: [640, '320', 640, 2400, -1, 'x'] }, 1600), [640, 320]);
+    assert.deepEqual(resolveResponsiveWidths(null, { breakpoints: 'standard' }, 1600), [1024, 640, 320]);
+    // A file's own widths replace the batch list
+    assert.deepEqual(resolveResponsiveWidths({ widths: [800] }, { breakpoints: 'wide' }, 1600), [800]);
+    assert.deepEqual(resolveResponsiveWidths({}, {}, 1600), []);
+});
+
+test('responsive variants are listed with their sizes and never upscaled', async (t) => {
+    const dir = await tempDir(t);
+    const file = await noisyImage(dir, 1000, 500);
+
+    const result = await convert(file, dir, null, { responsive: { widths: [1600, 640, 320] } });
+    assert.deepEqual(result.variants.map(variant => [variant.format, variant.width, variant.height, variant.url]), [
+        ['webp', 1000, 500, '/processed/test/noise.webp'],
+        ['webp', 640, 320, '/processed/test/noise-640w.webp'],
+        ['webp', 320, 160, '/processed/test/noise-320w.webp']
+    ]);
+    for (const variant of result.variants) {
+        assert.equal(fs.statSync(path.join(dir, path.basename(variant.url))).size, variant.size);
+    }
+    assert.equal(fs.existsSync(path.join(dir, 'noise-1600w.webp')), false);
+
+    const snippet = resultSnippet('images', result);
+    assert.match(snippet, /srcset="\/img\/noise-320w\.webp 320w, \/img\/noise-640w\.webp 640w, \/img\/noise\.webp 1000w"/);
+    assert.match(snippet, / width="1000" height="500" /);
+    assert.match(snippet, /background-image: url\('data:image\//);
+});
+
+// A grey 800x400 source with a red square on its right-hand side
+async function markedImage(dir) {
+    const filePath = path.join(dir, 'marked.png');
+    const square = await sharp({ create: { width: 200, height: 200, channels: 3, background: '#e01010' } }).png().toBuffer();
+    await sharp({ create: { width: 800, height: 400, channels: 3, background: '#808080' } })
+        .composite([{ input: square, left: 560, top: 100 }])
+        .png()
+        .toFile(filePath);
+    return uploadedFile(filePath);
+}
+
+test('fit modes keep or fill the box as sharp defines them', async (t) => {
+    const file = await markedImage(await tempDir(t));
+    const resizeTo = async (options) => {
+        const { pipeline, fit } = await applyResize(sharp(file.path), file.path, { width: 300, height: 300, ...options });
+        const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+        return { fit, size: [info.width, info.height], corner: [...data.subarray(0, 3)] };
+    };
+
+    assert.deepEqual((await resizeTo({})).size, [300, 300]);
+    assert.equal((await resizeTo({ fit: 'stretch' })).fit, 'fill');
+    assert.deepEqual((await resizeTo({ fit: 'inside' })).size, [300, 150]);
+    assert.deepEqual((await resizeTo({ fit: 'outside' })).size, [600, 300]);
+    const contained = await resizeTo({ fit: 'contain', background: '#00ff00' });
+    assert.deepEqual(contained.size, [300, 300]);
+    // The letterbox above the image takes the background colour
+    assert.deepEqual(contained.corner, [0, 255, 0]);
+});
+
+test('cover crops follow the focal point or the crop strategy', async (t) => {
+    const dir = await tempDir(t);
+    const file = await markedImage(dir);
+    const cropFor = async (options) => (await applyResize(sharp(file.path), file.path, { fit: 'cover', width: 200, height: 200, ...options })).crop;
+
+    assert.deepEqual(await cropFor({}), { left: 200, top: 0, width: 400, height: 400 });
+    assert.deepEqual(await cropFor({ focal: { x: 0, y: 0.5 } }), { left: 0, top: 0, width: 400, height: 400 });
+    assert.deepEqual(await cropFor({ focal: { x: 0.9, y: 0 } }), { left: 400, top: 0, width: 400, height: 400 });
+    assert.ok((await cropFor({ position: 'attention' })).left >= 300, 'the crop moves towards the red square');
+
+    const result = await convert(file, dir, { fit: 'cover', width: 200, height: 200, focal: { x: 1, y: 1 } });
+    assert.equal(result.fit, 'cover');
+    assert.deepEqual(result.crop, { left: 400, top: 0, width: 400, height: 400 });
+    assert.deepEqual([result.width, result.height], [200, 200]);
+    // Only the red square is left in the right-hand crop's centre
+    const { data } = await sharp(path.join(dir, 'marked.webp')).extract({ left: 100, top: 100, width: 1, height: 1 }).raw().toBuffer({ resolveWithObject: true });
+    assert.ok(data[0] > 180 && data[1] < 80, `the centre pixel is ${[...data]}`);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { resultSnippet, writeManifest, readManifest, planArchive } = require('../lib/manifest');
+const { tempDir } = require('./helpers');
+
+const publicPath = '/processed/s/b';
+
+// An image result with AVIF and WebP variants at one width
+function imageResult(stem) {
+    return {
+        originalName: `${stem}.png`,
+        width: 640,
+        height: 480,
+        sizes: '100vw',
+        lqip: 'data:image/webp;base64,AAAA',
+        formats: ['avif', 'webp'],
+        variants: ['avif', 'webp'].map(format => ({ url: `${publicPath}/${stem}-640.${format}`, format, width: 640, height: 480 }))
+    };
+}
+
+// Two uploads named photo.png, a failed one, and a batch folder holding their outputs
+async function finishedBatch(t) {
+    const outputDir = await tempDir(t);
+    for (const name of ['photo-640.avif', 'photo-640.webp', 'photo-2-640.avif', 'photo-2-640.webp']) {
+        await fs.promises.writeFile(path.join(outputDir, name), name);
+    }
+    const job = {
+        jobId: 'job-1',
+        type: 'images',
+        createdAt: Date.parse('2026-01-02T03:04:05Z'),
+        files: [
+            { originalName: 'photo.png', status: 'done', result: imageResult('photo') },
+            { originalName: 'photo.png', status: 'done', result: imageResult('photo-2') },
+            { originalName: 'broken.png', status: 'error', error: 'broken.png could not be decoded', result: null }
+        ]
+    };
+    const manifest = await writeManifest(job, { outputDir, publicPath });
+    return { outputDir, manifest };
+}
+
+test('the manifest lists every source with its outputs and their checksums', async (t) => {
+    const { outputDir, manifest } = await finishedBatch(t);
+
+    assert.deepEqual(await readManifest(outputDir), manifest);
+    assert.equal(manifest.createdAt, '2026-01-02T03:04:05.000Z');
+    assert.deepEqual(manifest.sources.map(source => [source.source, source.status, (source.outputs || []).length]), [
+        ['photo.png', 'done', 2],
+        ['photo.png', 'done', 2],
+        ['broken.png', 'error', 0]
+    ]);
+    assert.equal(manifest.sources[2].error, 'broken.png could not be decoded');
+
+    const [avif] = manifest.sources[1].outputs;
+    assert.equal(avif.path, 'photo-2-640.avif');
+    assert.equal(avif.size, Buffer.byteLength('photo-2-640.avif'));
+    assert.equal(avif.sha256, crypto.createHash('sha256').update('photo-2-640.avif').digest('hex'));
+    assert.match(manifest.sources[0].snippet, /<source type="image\/avif" srcset="\/img\/photo-640\.avif 640w"/);
+});
+
+test('archive layouts group files by format or by source without clashing', async (t) => {
+    const { outputDir } = await finishedBatch(t);
+    const files = ['photo-640.avif', 'photo-640.webp', 'photo-2-640.webp'].map(name => ({
+        path: path.join(outputDir, name),
+        name,
+        batchDir: outputDir,
+        batchPath: name
+    }));
+    files.push({ path: '/elsewhere/notes.txt', name: 'notes.txt', batchDir: null, batchPath: null });
+    const names = async (layout) => (await planArchive(files, { layout })).entries.map(entry => entry.name);
+
+    assert.deepEqual(await names('flat'), ['photo-640.avif', 'photo-640.webp', 'photo-2-640.webp', 'notes.txt']);
+    assert.deepEqual(await names('format'), ['avif/photo-640.avif', 'webp/photo-640.webp', 'webp/photo-2-640.webp', 'txt/notes.txt']);
+    // Both sources are called photo.png, so the second folder is renamed
+    assert.deepEqual(await names('source'), ['photo/photo-640.avif', 'photo/photo-640.webp', 'photo-2/photo-2-640.webp', 'other/notes.txt']);
+
+    const { manifest } = await planArchive(files, { layout: 'source' });
+    assert.deepEqual(manifest.sources.map(source => source.outputs.map(output => output.path)), [
+        ['photo/photo-640.avif', 'photo/photo-640.webp'],
+        ['photo-2/photo-2-640.webp']
+    ]);
+});
+
+test('snippets give every source a type and fall back to a JPEG output', () => {
+    const audio = resultSnippet('audio', {
+        formats: ['mp3', 'opus', 'aac', 'ogg'],
+        mp3: `${publicPath}/song.mp3`,
+        opus: `${publicPath}/song.webm`,
+        aac: `${publicPath}/song.m4a`,
+        ogg: `${publicPath}/song.ogg`
+    });
+    assert.doesNotMatch(audio, /undefined/);
+    assert.match(audio, /<source src="\/audio\/song\.ogg" type="audio\/ogg" \/>/);
+
+    const result = imageResult('photo');
+    result.formats = ['webp', 'jpeg'];
+    result.sizes = '(min-width: 40em) 50vw, "100vw"';
+    result.variants = [640, 320].flatMap(width => ['webp', 'jpeg'].map(format => ({ url: `${publicPath}/photo-${width}.${format}`, format, width, height: width * 0.75 })));
+    result.jpeg = `${publicPath}/photo-640.jpeg`;
+    assert.equal(resultSnippet('images', result), [
+        '<picture>',
+        '  <source type="image/webp" srcset="/img/photo-320.webp 320w, /img/photo-640.webp 640w" sizes="(min-width: 40em) 50vw, &quot;100vw&quot;" />',
+        '  <img src="/img/photo-640.jpeg" srcset="/img/photo-320.jpeg 320w, /img/photo-640.jpeg 640w" sizes="(min-width: 40em) 50vw, &quot;100vw&quot;" width="640" height="480" alt="" loading="lazy" decoding="async" style="background-size: cover; background-image: url(\'data:image/webp;base64,AAAA\')" />',
+        '</picture>'
+    ].join('\n'));
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const sharp = require('sharp');
+const { parseExif, describeIcc, resolveMetadataPolicy, planMetadata } = require('../lib/metadata');
+const { processImage } = require('../lib/images');
+const { tempDir, uploadedFile } = require('./helpers');
+
+// A sideways 40x20 phone photo: rotate 90° to view, with GPS, credits and a Display P3 profile
+async function phonePhoto(dir) {
+    const filePath = path.join(dir, 'phone.jpg');
+    await sharp({ create: { width: 40, height: 20, channels: 3, background: '#336699' } })
+        .withExif({
+            IFD0: { Make: 'Phone', Artist: 'Sam', Copyright: 'ACME' },
+            IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '52/1 30/1 0/1', GPSLongitudeRef: 'W', GPSLongitude: '1/1 15/1 0/1' }
+        })
+        .withMetadata({ orientation: 6 })
+        .withIccProfile('p3')
+        .jpeg()
+        .toFile(filePath);
+    return uploadedFile(filePath);
+}
+
+// Writes a JPEG of the photo into its own folder and reads its metadata back
+async function convert(file, t, metadata) {
+    const outputDir = await tempDir(t);
+    const result = await processImage(file, { metadata, formats: ['jpeg'], outputDir, publicPath: '/processed/test' });
+    return { result, output: await sharp(path.join(outputDir, 'phone.jpg')).metadata() };
+}
+
+test('the policy defaults to rotating, stripping everything and converting to sRGB', () => {
+    assert.deepEqual(resolveMetadataPolicy(), { autoOrient: true, keep: 'none', toSrgb: true });
+    assert.deepEqual(resolveMetadataPolicy({ autoOrient: false, keep: 'everything', toSrgb: 0 }), { autoOrient: false, keep: 'none', toSrgb: false });
+    assert.equal(resolveMetadataPolicy({ keep: 'copyright-icc' }).keep, 'copyright-icc');
+    assert.equal(parseExif(Buffer.from('not exif at all')), null);
+    assert.equal(describeIcc(Buffer.alloc(10)), null);
+});
+
+test('the report lists what was found, kept and removed', async (t) => {
+    const file = await phonePhoto(await tempDir(t));
+    const { report } = await planMetadata(file.path, resolveMetadataPolicy({ keep: 'copyright-icc' }));
+
+    assert.deepEqual(report.found.gps, { latitude: 52.5, longitude: -1.25 });
+    assert.equal(report.found.exif.Make, 'Phone');
+    assert.deepEqual(report.orientation, { value: 6, applied: true });
+    assert.deepEqual(report.kept, ['Copyright', 'Artist', 'icc (sRGB)']);
+    assert.deepEqual(report.removed, ['exif (except Copyright, Artist)', 'gps']);
+    assert.notEqual(report.colorProfile.source, 'sRGB');
+    assert.deepEqual([report.colorProfile.output, report.colorProfile.converted], ['sRGB', true]);
+});
+
+test('outputs are upright and carry no EXIF or GPS by default', async (t) => {
+    const file = await phonePhoto(await tempDir(t));
+
+    const { result, output } = await convert(file, t);
+    assert.deepEqual([result.width, result.height], [20, 40]);
+    assert.deepEqual([output.width, output.height, output.orientation, output.exif, output.icc], [20, 40, undefined, undefined, undefined]);
+    assert.deepEqual(result.metadata.removed, ['exif', 'gps', 'icc']);
+});
+
+test('copyright and an sRGB profile survive when asked for, and rotation can be left off', async (t) => {
+    const file = await phonePhoto(await tempDir(t));
+
+    const kept = (await convert(file, t, { keep: 'copyright-icc' })).output;
+    const exif = parseExif(kept.exif);
+    assert.deepEqual([exif.ifd0.Copyright, exif.ifd0.Artist, exif.ifd0.Make, exif.gps], ['ACME', 'Sam', undefined, null]);
+    assert.match(describeIcc(kept.icc), /sRGB/);
+
+    const { result, output } = await convert(file, t, { autoOrient: false });
+    assert.deepEqual([output.width, output.height, output.orientation], [40, 20, undefined]);
+    assert.deepEqual(result.metadata.orientation, { value: 6, applied: false });
+});
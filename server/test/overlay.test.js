@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const sharp = require('sharp');
+const { resolveOverlay, applyOverlay } = require('../lib/overlay');
+const { processImage } = require('../lib/images');
+const { tempDir, uploadedFile } = require('./helpers');
+
+const black = { r: 0, g: 0, b: 0 };
+
+async function solid(filePath, width, height, background) {
+    await sharp({ create: { width, height, channels: 3, background } }).png().toFile(filePath);
+    return filePath;
+}
+
+// Draws the overlay on a black 400x200 canvas and returns a pixel reader
+async function drawn(overlay) {
+    const canvas = sharp({ create: { width: 400, height: 200, channels: 3, background: black } });
+    const image = await applyOverlay(canvas, overlay, { width: 400, height: 200 });
+    const { data, info } = await sharp(await image.png().toBuffer()).raw().toBuffer({ resolveWithObject: true });
+    return (x, y) => data[(y * 400 + x) * info.channels];
+}
+
+test('overlay specs are normalized and need an image or some text', () => {
+    assert.equal(resolveOverlay(null), null);
+    assert.equal(resolveOverlay({ text: '   ' }), null);
+    assert.deepEqual(resolveOverlay({ text: ' © ACME ', color: 'red', font: '<b>', position: 'middle', margin: -5, opacity: 3, scale: '0.3' }), {
+        type: 'text',
+        imagePath: null,
+        text: '© ACME',
+        color: '#ffffff',
+        font: 'sans bold',
+        position: 'bottom-right',
+        margin: 0,
+        opacity: 1,
+        scale: 0.3,
+        lqipFromSource: false
+    });
+    const image = resolveOverlay({ text: 'ignored', position: 'tiled' }, '/tmp/mark.png');
+    assert.deepEqual([image.type, image.text, image.position], ['image', null, 'tiled']);
+});
+
+test('an image mark is scaled, placed inside the margin and faded', async (t) => {
+    const dir = await tempDir(t);
+    const overlay = resolveOverlay({ position: 'bottom-right', margin: 10, opacity: 0.5, scale: 0.25 }, await solid(path.join(dir, 'mark.png'), 200, 100, '#ffffff'));
+    const pixel = await drawn(overlay);
+
+    // 100x50 in the corner: x 290-389, y 140-189
+    assert.ok(Math.abs(pixel(340, 165) - 128) <= 2, `half-opaque white reads ${pixel(340, 165)}`);
+    assert.equal(pixel(395, 195), 0);
+    assert.equal(pixel(285, 165), 0);
+    assert.equal(pixel(20, 20), 0);
+
+    const centred = await drawn({ ...overlay, position: 'center', opacity: 1 });
+    assert.equal(centred(200, 100), 255);
+    assert.equal(centred(340, 165), 0);
+});
+
+test('tiled marks repeat across the image', async (t) => {
+    const dir = await tempDir(t);
+    const overlay = resolveOverlay({ position: 'tiled', margin: 20, opacity: 1, scale: 0.1 }, await solid(path.join(dir, 'mark.png'), 40, 40, '#ffffff'));
+    const pixel = await drawn(overlay);
+
+    // 40x40 marks every 60px
+    for (const [x, y] of [[10, 10], [70, 10], [130, 70], [370, 190]]) assert.equal(pixel(x, y), 255, `mark at ${x},${y}`);
+    for (const [x, y] of [[50, 10], [10, 50], [110, 110]]) assert.equal(pixel(x, y), 0, `gap at ${x},${y}`);
+});
+
+test('text marks are drawn and every output size carries the watermark', async (t) => {
+    const dir = await tempDir(t);
+    const textPixel = await drawn(resolveOverlay({ text: 'ANVL', opacity: 1, scale: 0.5, margin: 0, position: 'center' }));
+    let lit = 0;
+    for (let x = 100; x < 300; x += 1) if (textPixel(x, 100) > 128) lit += 1;
+    assert.ok(lit > 10, `${lit} lit pixels across the text`);
+
+    const input = uploadedFile(await solid(path.join(dir, 'photo.png'), 400, 200, black));
+    const mark = await solid(path.join(dir, 'mark.png'), 100, 100, '#ffffff');
+    const result = await processImage(input, {
+        overlay: { position: 'top-left', margin: 0, opacity: 1, scale: 0.5, lqipFromSource: true },
+        overlayImage: mark,
+        responsive: { widths: [200] },
+        formats: ['png'],
+        outputDir: dir,
+        publicPath: '/processed/test'
+    });
+    assert.deepEqual(result.overlay, { type: 'image', position: 'top-left', lqipFromSource: true });
+
+    for (const [name, inside] of [['photo.png', [150, 150]], ['photo-200w.png', [75, 75]]]) {
+        const { data, info } = await sharp(path.join(dir, name)).raw().toBuffer({ resolveWithObject: true });
+        const at = (x, y) => data[(y * info.width + x) * info.channels];
+        assert.equal(at(...inside), 255, `${name} is marked`);
+        assert.equal(at(info.width - 5, info.height - 5), 0, `${name} is clean outside the mark`);
+    }
+    // The clean LQIP has no white corner
+    const { data } = await sharp(Buffer.from(result.lqip.split(',')[1], 'base64')).raw().toBuffer({ resolveWithObject: true });
+    assert.ok(data[0] < 30);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const sharp = require('sharp');
+const { decode: decodeBlurhash } = require('blurhash');
+const { resolvePlaceholderTypes, createPlaceholders } = require('../lib/placeholders');
+const { processImage } = require('../lib/images');
+const { tempDir, uploadedFile } = require('./helpers');
+
+const red = { r: 220, g: 30, b: 30 };
+const blue = { r: 30, g: 30, b: 220 };
+
+// 200x100, red on the left and blue on the right
+function splitImage() {
+    const half = (background) => sharp({ create: { width: 100, height: 100, channels: 3, background } }).png().toBuffer();
+    return Promise.all([half(red), half(blue)]).then(([left, right]) => sharp({ create: { width: 200, height: 100, channels: 3, background: red } })
+        .composite([{ input: left, left: 0, top: 0 }, { input: right, left: 100, top: 0 }])
+        .png()
+        .toBuffer());
+}
+
+// Red wins on the left of a decoded placeholder and blue on the right
+function assertSplit(pixels, width, height, channels = 4) {
+    const at = (x) => pixels.subarray((Math.floor(height / 2) * width + x) * channels);
+    assert.ok(at(1)[0] > at(1)[2], 'reddish on the left');
+    assert.ok(at(width - 2)[2] > at(width - 2)[0], 'bluish on the right');
+}
+
+test('only known placeholder types are made, in a fixed order', () => {
+    assert.deepEqual(resolvePlaceholderTypes(['svg', 'webp', 'blurhash']), ['blurhash', 'svg']);
+    assert.deepEqual(resolvePlaceholderTypes('blurhash'), []);
+});
+
+test('every placeholder keeps the rough layout of the image', async () => {
+    const image = sharp(await splitImage());
+    const { blurhash, thumbhash, dominantColor, svg } = await createPlaceholders(image, ['blurhash', 'thumbhash', 'color', 'svg'], { width: 200, height: 100 });
+
+    assertSplit(decodeBlurhash(blurhash, 32, 16), 32, 16);
+
+    const { thumbHashToRGBA } = await import('thumbhash');
+    const decoded = thumbHashToRGBA(Buffer.from(thumbhash, 'base64'));
+    // ThumbHash only keeps a rough aspect ratio
+    assert.ok(decoded.w > decoded.h * 1.5);
+    assertSplit(decoded.rgba, decoded.w, decoded.h);
+
+    assert.match(dominantColor, /^#[0-9a-f]{6}$/);
+    const [r, , b] = [1, 3, 5].map(at => parseInt(dominantColor.slice(at, at + 2), 16));
+    assert.ok(Math.max(r, b) > 150, `${dominantColor} is one of the two halves`);
+
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" viewBox="0 0 200 100"/);
+    const fills = [...svg.matchAll(/fill="(#[0-9a-f]{6})"/g)].map(match => match[1]);
+    assert.equal(fills.length, 8 * 4);
+    assert.equal(fills[0], '#dc1e1e');
+    assert.equal(fills[7], '#1e1edc');
+});
+
+test('image results carry the LQIP and the requested placeholders', async (t) => {
+    const dir = await tempDir(t);
+    const input = path.join(dir, 'split.png');
+    await sharp(await splitImage()).toFile(input);
+
+    const result = await processImage(uploadedFile(input), { placeholders: ['color', 'svg'], formats: ['webp'], outputDir: dir, publicPath: '/processed/test' });
+    assert.deepEqual(Object.keys(result.placeholders), ['dominantColor', 'svg']);
+    const lqip = Buffer.from(result.lqip.replace('data:image/jpeg;base64,', ''), 'base64');
+    const { data, info } = await sharp(lqip).raw().toBuffer({ resolveWithObject: true });
+    assert.equal(info.width, 20);
+    assertSplit(data, info.width, info.height, info.channels);
+
+    const plain = await processImage(uploadedFile(input), { formats: ['webp'], outputDir: dir, publicPath: '/processed/test' });
+    assert.equal(plain.placeholders, undefined);
+});
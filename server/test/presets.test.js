@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store's path is read when the module loads
+const presetsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anvl-presets-'));
+process.env.ANVL_PRESETS_FILE = path.join(presetsDir, 'presets.json');
+const presets = require('../lib/presets');
+
+test.after(() => fs.promises.rm(presetsDir, { recursive: true, force: true }));
+
+const stored = async () => JSON.parse(await fs.promises.readFile(presets.presetsFile, 'utf8')).map(preset => preset.name);
+
+test('presets are saved to disk and found again', async () => {
+    const first = await presets.putPreset('web', { type: 'image', options: { width: 1200 } });
+    assert.equal(first.created, true);
+    const second = await presets.putPreset('web', { type: 'image', description: 'Site images', options: { width: 1600 } });
+    assert.equal(second.created, false);
+    assert.equal(second.preset.createdAt, first.preset.createdAt);
+    await presets.putPreset('podcast', { type: 'audio', options: { formats: ['mp3'] } });
+
+    assert.deepEqual(presets.listPresets().map(preset => preset.name), ['podcast', 'web']);
+    assert.deepEqual(presets.listPresets('audio').map(preset => preset.name), ['podcast']);
+    assert.deepEqual(await stored(), ['web', 'podcast']);
+    assert.deepEqual(presets.resolvePreset('web', 'image'), { ok: true, options: { width: 1600 } });
+    assert.equal(presets.resolvePreset('web', 'audio').ok, false);
+    assert.deepEqual(presets.withPreset({ width: 1600, quality: 80 }, { quality: 60 }), { width: 1600, quality: 60 });
+
+    assert.equal(await presets.deletePreset('podcast'), true);
+    assert.equal(await presets.deletePreset('podcast'), false);
+    assert.deepEqual(await stored(), ['web']);
+});
+
+test('a failed write leaves the store as it was and later writes still go through', async (t) => {
+    t.mock.method(fs.promises, 'rename', async () => {
+        throw Object.assign(new Error('disk full'), { code: 'ENOSPC' });
+    }, { times: 1 });
+
+    const failed = presets.putPreset('thumbs', { type: 'image', options: { width: 200 } });
+    // Queued behind the failing write
+    const next = presets.putPreset('hero', { type: 'image', options: { width: 2400 } });
+    await assert.rejects(failed, /disk full/);
+    await next;
+
+    assert.equal(presets.getPreset('thumbs'), null);
+    assert.deepEqual(await stored(), ['web', 'hero']);
+});
+
+test('names, types and options are validated', () => {
+    assert.equal(presets.validatePreset({ name: 'ok', type: 'image', options: {} }).ok, true);
+    assert.match(presets.validatePreset({ name: '../etc', type: 'image', options: {} }).error, /Preset name/);
+    assert.match(presets.validatePreset({ name: 'x', type: 'video', options: {} }).error, /Preset type/);
+    assert.match(presets.validatePreset({ name: 'x', type: 'audio', options: [] }).error, /Preset options/);
+});
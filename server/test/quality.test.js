@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { readPixels, compare } = require('../lib/quality');
+const { processImage } = require('../lib/images');
+const { tempDir, uploadedFile } = require('./helpers');
+
+async function noisyImage(dir) {
+    const filePath = path.join(dir, 'noise.png');
+    await sharp({ create: { width: 240, height: 160, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } } }).blur(1.2).png().toFile(filePath);
+    return uploadedFile(filePath);
+}
+
+function convert(file, outputDir, metrics) {
+    return processImage(file, { metrics, formats: ['webp'], responsive: { widths: [120] }, outputDir, publicPath: '/processed/test' });
+}
+
+test('identical pixels score perfectly and distortion lowers every score', async (t) => {
+    const file = await noisyImage(await tempDir(t));
+    const reference = await readPixels(sharp(file.path));
+
+    assert.deepEqual(compare(reference, reference), { ssim: 1, psnr: 100, dssim: 0 });
+    const blurred = compare(reference, await readPixels(sharp(file.path).blur(3)));
+    assert.ok(blurred.ssim < 0.9 && blurred.psnr < 40 && blurred.dssim > 0.1, JSON.stringify(blurred));
+    assert.throws(() => compare(reference, { ...reference, width: 10 }), /different sizes/);
+});
+
+test('outputs are scored and mapped when metrics are on', async (t) => {
+    const dir = await tempDir(t);
+    const file = await noisyImage(dir);
+
+    const result = await convert(file, dir, { heatmap: true });
+    const { ssim, psnr, quality } = result.metrics.webp;
+    assert.equal(quality, 80);
+    assert.ok(ssim > 0.5 && ssim < 1 && psnr > 20, JSON.stringify(result.metrics.webp));
+    // Breakpoints are scored against the source at their own size
+    assert.ok(result.variants.every(variant => variant.metrics && variant.metrics.ssim > 0.5));
+    assert.equal(result.metrics.webp.heatmap, '/processed/test/noise-diff-webp.png');
+    assert.deepEqual(await sharp(path.join(dir, 'noise-diff-webp.png')).metadata().then(meta => [meta.width, meta.height]), [240, 160]);
+
+    assert.equal((await convert(file, dir, {})).metrics, undefined);
+});
+
+test('a target SSIM picks a quality that reaches it, higher for stricter targets', async (t) => {
+    const dir = await tempDir(t);
+    const file = await noisyImage(dir);
+
+    const loose = (await convert(file, dir, { targetSsim: 0.9 })).autoQuality.webp;
+    const strict = (await convert(file, dir, { targetSsim: 0.99 })).autoQuality.webp;
+    assert.equal(loose.met, true);
+    assert.ok(loose.ssim >= 0.9);
+    assert.ok(strict.met ? strict.ssim >= 0.99 : strict.quality === 95, JSON.stringify(strict));
+    assert.ok(strict.quality > loose.quality, `${strict.quality} > ${loose.quality}`);
+    assert.equal(fs.existsSync(path.join(dir, 'noise-diff-webp.png')), false);
+});
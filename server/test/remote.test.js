@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const sharp = require('sharp');
+
+// Settings are read when the modules load
+process.env.ANVL_MAX_FILE_MB = String(64 / 1024);
+process.env.ANVL_REMOTE_TIMEOUT_SECONDS = '1';
+process.env.ANVL_REMOTE_MAX_REDIRECTS = '2';
+delete process.env.ANVL_REMOTE_ALLOW_PRIVATE;
+const strict = require('../lib/remote');
+// A second copy that may reach the fixture server on loopback
+process.env.ANVL_REMOTE_ALLOW_PRIVATE = '1';
+delete require.cache[require.resolve('../lib/remote')];
+const local = require('../lib/remote');
+
+let server;
+let base;
+const requested = [];
+
+test.before(async () => {
+    const png = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#fc0' } }).png().toBuffer();
+    server = http.createServer((req, res) => {
+        requested.push(req.url);
+        const hop = req.url.match(/^\/hop\/(\d+)$/);
+        if (hop) {
+            res.writeHead(302, { location: `/hop/${Number(hop[1]) + 1}` });
+            return res.end();
+        }
+        switch (req.url) {
+            case '/logo.png':
+            case '/logo':
+                return res.writeHead(200, { 'content-type': 'image/png' }).end(png);
+            case '/moved.png':
+                return res.writeHead(301, { location: '/logo.png' }).end();
+            case '/page.png':
+                return res.writeHead(200, { 'content-type': 'text/html' }).end('<html></html>');
+            case '/fake.png':
+                return res.writeHead(200, { 'content-type': 'application/octet-stream' }).end('#!/bin/sh\n');
+            case '/huge.png':
+                // No content-length, so only the byte count catches it
+                res.writeHead(200, { 'content-type': 'image/png' });
+                return res.end(Buffer.alloc(65 * 1024));
+            case '/slow.png':
+                res.writeHead(200, { 'content-type': 'image/png' });
+                return res.write(png.subarray(0, 16));
+            default:
+                return res.writeHead(404).end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+// Fetches one URL as a job would, removing the download afterwards
+async function fetched(remote, href, type = 'image') {
+    const [item] = remote.remoteItems([href]);
+    await remote.fetchRemoteFile(item, type);
+    await fs.promises.unlink(item.path);
+    return item;
+}
+
+async function refused(remote, href, type = 'image') {
+    const error = await fetched(remote, href, type).then(() => null, failure => failure);
+    assert.ok(error, `${href} was fetched`);
+    return error.rejection;
+}
+
+test('private, loopback and IPv4-carrying IPv6 addresses are blocked', () => {
+    const blocked = [
+        '0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '169.254.169.254', '172.31.255.255', '192.168.1.1',
+        '224.0.0.1', '255.255.255.255', '::', '::1', '::7f00:1', '::ffff:127.0.0.1', '::ffff:10.0.0.1',
+        '64:ff9b::a00:1', '64:ff9b:1::1', '2001:0:4136:e378::1', '2002:a00:1::', 'fd00::1', 'fe80::1', 'ff02::1',
+        'example.com', ''
+    ];
+    const allowed = ['8.8.8.8', '1.1.1.1', '172.32.0.1', '::ffff:8.8.8.8', '2606:4700:4700::1111', '2001:4860:4860::8888'];
+
+    blocked.forEach(address => assert.equal(strict.isBlockedAddress(address), true, `${address} is blocked`));
+    allowed.forEach(address => assert.equal(strict.isBlockedAddress(address), false, `${address} is allowed`));
+});
+
+test('URLs reaching private hosts are refused before any request is made', async () => {
+    const port = server.address().port;
+    const count = requested.length;
+
+    for (const href of [`${base}/logo.png`, `http://localhost:${port}/logo.png`, `http://[::ffff:127.0.0.1]:${port}/logo.png`]) {
+        const problem = await refused(strict, href);
+        assert.equal(problem.code, 'blocked_address', href);
+        assert.equal(problem.file, href);
+    }
+    assert.equal((await refused(strict, 'file:///etc/passwd')).code, 'invalid_url');
+    assert.equal((await refused(strict, 'not a url')).code, 'invalid_url');
+    assert.equal((await refused(strict, 42)).code, 'invalid_url');
+    assert.equal(requested.length, count);
+});
+
+test('a download is typed by its URL or content type and checked like an upload', async () => {
+    assert.equal((await fetched(local, `${base}/logo.png`)).originalname, 'logo.png');
+    const nameless = await fetched(local, `${base}/logo`);
+    assert.equal(nameless.originalname, 'logo');
+    assert.equal(path.extname(nameless.path), '.png');
+    assert.ok((await fetched(local, `${base}/moved.png`)).size > 0);
+
+    assert.equal((await refused(local, `${base}/page.png`)).code, 'unsupported_type');
+    assert.equal((await refused(local, `${base}/logo.png`, 'audio')).code, 'unsupported_type');
+    assert.equal((await refused(local, `${base}/fake.png`)).code, 'type_mismatch');
+    assert.equal((await refused(local, `${base}/missing.png`)).code, 'fetch_failed');
+});
+
+test('redirect chains, oversized bodies and stalled downloads are cut off', async () => {
+    assert.equal((await refused(local, `${base}/hop/0`)).code, 'too_many_redirects');
+    assert.deepEqual(requested.slice(-3), ['/hop/0', '/hop/1', '/hop/2']);
+    assert.equal((await refused(local, `${base}/huge.png`)).code, 'file_too_large');
+    assert.equal((await refused(local, `${base}/slow.png`)).code, 'timeout');
+});
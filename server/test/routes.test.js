@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// The preset store's path is read when the modules load
+const presetsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anvl-routes-'));
+process.env.ANVL_PRESETS_FILE = path.join(presetsDir, 'presets.json');
+const router = require('../routes');
+
+let server;
+let base;
+
+test.before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', router);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+test.after(async () => {
+    server.close();
+    await fs.promises.rm(presetsDir, { recursive: true, force: true });
+});
+
+async function call(method, route, body) {
+    const response = await fetch(`${base}${route}`, {
+        method,
+        headers: body ? { 'content-type': 'application/json' } : {},
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('unknown jobs and presets answer with a not_found rejection', async () => {
+    const notFound = (error) => ({ status: 404, body: { error, code: 'not_found', file: null } });
+
+    assert.deepEqual(await call('GET', '/jobs/nope'), notFound('Job not found'));
+    assert.deepEqual(await call('DELETE', '/jobs/nope'), notFound('Job not found'));
+    assert.deepEqual(await call('GET', '/jobs/nope/manifest'), notFound('Job not found'));
+    assert.deepEqual(await call('GET', '/presets/nope'), notFound('Preset not found'));
+    assert.deepEqual(await call('DELETE', '/presets/nope'), notFound('Preset not found'));
+});
+
+test('preset errors carry a code', async (t) => {
+    const preset = { name: 'web', type: 'image', options: { width: 1200 } };
+
+    assert.equal((await call('POST', '/presets', { ...preset, type: 'video' })).body.code, 'invalid_preset');
+    assert.equal((await call('PUT', '/presets/web', { type: 'image' })).body.code, 'invalid_preset');
+    assert.equal((await call('POST', '/presets', preset)).status, 201);
+    assert.deepEqual(await call('POST', '/presets', preset), {
+        status: 409,
+        body: { error: 'Preset "web" already exists', code: 'preset_exists', file: null }
+    });
+
+    t.mock.method(fs.promises, 'rename', async () => { throw new Error('disk full'); });
+    assert.deepEqual(await call('PUT', '/presets/web', preset), {
+        status: 500,
+        body: { error: 'Could not save preset', code: 'save_failed', file: null }
+    });
+});
+
+test('native file access without the app token is refused', async () => {
+    for (const route of ['/native-files/read', '/native-folders/scan', '/native-files/download']) {
+        assert.deepEqual(await call('POST', route, {}), {
+            status: 403,
+            body: { error: 'Native file access is not authorized', code: 'not_authorized', file: null }
+        });
+    }
+});
+
+test('a video config naming an unknown format is refused before encoding', async () => {
+    const form = new FormData();
+    // Enough of an MP4 header to pass the type sniffing
+    form.append('videos', new Blob([Buffer.from('\0\0\0\x18ftypisom\0\0\0\0isomavc1')]), 'clip.mp4');
+    form.append('videoConfigs', JSON.stringify({ 'clip.mp4': { formats: ['mp4', 'mkv'] } }));
+    const response = await fetch(`${base}/process-video`, { method: 'POST', body: form });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), {
+        error: 'Unknown video format: mkv (use mp4 or webm)',
+        code: 'invalid_request',
+        file: 'clip.mp4'
+    });
+});
+
+test('a byte budget that is not a positive number is refused', async () => {
+    const form = new FormData();
+    form.append('images', new Blob([Buffer.from('\x89PNG\r\n\x1a\n')]), 'photo.png');
+    form.append('resizeOptions', JSON.stringify({ 'photo.png': { budget: { avif: 30000, webp: 'lots' } } }));
+    const response = await fetch(`${base}/process-images`, { method: 'POST', body: form });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), {
+        error: 'WEBP budget must be a positive number of bytes, got "lots"',
+        code: 'invalid_request',
+        file: 'photo.png'
+    });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Read when the modules load
+const processedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anvl-processed-'));
+process.env.ANVL_PROCESSED_DIR = processedDir;
+process.env.ANVL_OUTPUT_TTL_MINUTES = '1';
+const { createBatch, deleteSession, collectExpiredOutputs, assignOutputStems } = require('../lib/sessions');
+const { createJob } = require('../lib/jobs');
+
+test.after(() => fs.promises.rm(processedDir, { recursive: true, force: true }));
+
+const key = 'a-secret-session-key';
+const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+
+// Backdates a folder and everything in it
+async function age(target, time = hourAgo) {
+    const stat = await fs.promises.stat(target);
+    if (stat.isDirectory()) {
+        for (const entry of await fs.promises.readdir(target)) await age(path.join(target, entry), time);
+    }
+    await fs.promises.utimes(target, time, time);
+}
+
+test('a session is only deleted with the key it was created with', async () => {
+    const owned = await createBatch('owned-session', key);
+    await createBatch('owned-session', 'another-key-for-the-same');
+    const keyless = await createBatch('keyless-session');
+
+    assert.equal(await deleteSession('owned-session', null), 'denied');
+    assert.equal(await deleteSession('owned-session', 'another-key-for-the-same'), 'denied');
+    assert.equal(await deleteSession('keyless-session', key), 'denied');
+    assert.equal(await deleteSession('unknown-session', key), 'missing');
+    assert.ok(fs.existsSync(owned.outputDir));
+
+    assert.equal(await deleteSession('owned-session', key), 'deleted');
+    assert.equal(fs.existsSync(path.dirname(owned.outputDir)), false);
+    assert.ok(fs.existsSync(keyless.outputDir));
+    await fs.promises.rm(path.dirname(keyless.outputDir), { recursive: true });
+});
+
+test('the sweep spares batches still being written to', async () => {
+    const expired = await createBatch('swept-session', key);
+    const nested = await createBatch('swept-session', key);
+    const running = await createBatch('running-session', key);
+    await fs.promises.mkdir(path.join(nested.outputDir, 'trip'));
+    await fs.promises.writeFile(path.join(expired.outputDir, 'old.webp'), 'old');
+    await age(path.join(processedDir, 'swept-session'));
+    await age(running.outputDir);
+    // Folder mode writes into subfolders, which leaves the batch folder's own mtime alone
+    await fs.promises.writeFile(path.join(nested.outputDir, 'trip', 'new.webp'), 'new');
+
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const job = createJob({
+        type: 'images',
+        engine: 'sharp',
+        items: [{ originalname: 'slow.png' }],
+        output: { sessionId: running.sessionId, batchId: running.batchId },
+        worker: () => held
+    });
+
+    assert.equal(await collectExpiredOutputs(), 1);
+    assert.equal(fs.existsSync(expired.outputDir), false);
+    assert.ok(fs.existsSync(nested.outputDir));
+    assert.ok(fs.existsSync(running.outputDir));
+
+    release({});
+    await new Promise(resolve => job.events.once('done', resolve));
+    await age(nested.outputDir);
+    assert.equal(await collectExpiredOutputs(), 2);
+    // Nothing but the owner file was left, so the sessions went too
+    assert.deepEqual(await fs.promises.readdir(processedDir), []);
+});
+
+test('clashing output names get numbered in upload order', () => {
+    const files = ['a/photo.jpg', 'b/Photo.jpg', 'photo.png', 'photo-2.png'].map(name => ({ originalname: name }));
+    assert.deepEqual([...assignOutputStems(files).values()], ['photo', 'Photo-2', 'photo-3', 'photo-2-2']);
+});
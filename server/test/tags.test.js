@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { resolveTags, metadataArgs, prepareCover, readSourceTags } = require('../lib/tags');
+const { tempDir, sineWav, uploadedFile, hasFfmpeg } = require('./helpers');
+
+const skip = hasFfmpeg ? false : 'the ffmpeg binary is not installed';
+
+async function image(filePath, width, height) {
+    await sharp({ create: { width, height, channels: 3, background: '#0af' } }).png().toFile(filePath);
+    return filePath;
+}
+
+test('covers come out square and never enlarged', async (t) => {
+    const dir = await tempDir(t);
+
+    const wide = await prepareCover(await image(path.join(dir, 'wide.png'), 800, 400), path.join(dir, 'wide.jpg'));
+    assert.deepEqual([wide.width, wide.height, wide.format], [400, 400, 'jpeg']);
+    const large = await prepareCover(await image(path.join(dir, 'large.png'), 1200, 1600), path.join(dir, 'large.jpg'));
+    assert.deepEqual([large.width, large.height], [600, 600]);
+});
+
+test('requested tags replace, clear or add to the source tags', () => {
+    const source = { title: 'Take 3', artist: 'Band', album: 'Demos', year: '2019-05-01', track: 'A1' };
+
+    assert.deepEqual(resolveTags(source, { title: ' Final ', album: '', track: '2/10' }, true), {
+        title: 'Final',
+        artist: 'Band',
+        track: '2/10',
+        year: '2019'
+    });
+    assert.deepEqual(resolveTags(source, { title: 'Final' }, false), { title: 'Final' });
+    assert.deepEqual(metadataArgs({ title: 'Final', year: '2019' }), ['-map_metadata', '-1', '-metadata', 'title=Final', '-metadata', 'date=2019']);
+});
+
+test('MP3 outputs carry the merged tags and the uploaded cover', { skip }, async (t) => {
+    const { processAudio } = require('../lib/audio');
+    const dir = await tempDir(t);
+    const input = path.join(dir, 'song.wav');
+    await fs.promises.writeFile(input, sineWav({ seconds: 1 }));
+    const cover = await image(path.join(dir, 'cover.png'), 900, 700);
+
+    const result = await processAudio(uploadedFile(input), {
+        formats: ['mp3'],
+        previews: false,
+        tags: { title: 'Sine = "A" #1', artist: 'Oscillator', year: '2024' }
+    }, { outputDir: dir, publicPath: '/processed/test', cover });
+
+    assert.deepEqual(result.coverArt, { from: 'upload', url: '/processed/test/song-cover.jpg', width: 600, height: 600, size: result.coverArt.size });
+    const written = await readSourceTags(path.join(dir, 'song.mp3'));
+    assert.equal(written.tags.title, 'Sine = "A" #1');
+    assert.equal(written.tags.artist, 'Oscillator');
+    assert.equal(written.tags.year, '2024');
+
+    const { ffmpeg, runCommand } = require('../lib/ffmpeg');
+    const embedded = path.join(dir, 'embedded.jpg');
+    await runCommand(ffmpeg(path.join(dir, 'song.mp3')).outputOptions('-map', '0:v:0', '-c', 'copy').output(embedded));
+    assert.deepEqual(await fs.promises.readFile(embedded), await fs.promises.readFile(path.join(dir, 'song-cover.jpg')));
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { tempDir, sineWav, uploadedFile } = require('./helpers');
+
+// 10,000 pixels and 64 KB, read when the modules load
+process.env.ANVL_MAX_MEGAPIXELS = '0.01';
+process.env.ANVL_MAX_FILE_MB = String(64 / 1024);
+const { sniffType, checkFile, checkFiles, sendRejection, rejection, uploadKinds } = require('../lib/validation');
+
+async function png(filePath, width, height) {
+    await sharp({ create: { width, height, channels: 3, background: '#fc0' } }).png().toFile(filePath);
+    return filePath;
+}
+
+test('file types are named from their first bytes', async (t) => {
+    const dir = await tempDir(t);
+    const id3 = Buffer.concat([Buffer.from('ID3\x04\x00\x00\x00\x00\x00\x05', 'latin1'), Buffer.alloc(5), Buffer.from('fLaC')]);
+    const samples = {
+        jpeg: Buffer.from([0xff, 0xd8, 0xff, 0xe0]),
+        png: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        gif: Buffer.from('GIF89a', 'latin1'),
+        tiff: Buffer.from('MM\0*', 'latin1'),
+        webp: Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1'),
+        wav: sineWav({ seconds: 0.01 }),
+        flac: id3,
+        aiff: Buffer.from('FORM\0\0\0\0AIFC', 'latin1'),
+        ogg: Buffer.from('OggS', 'latin1'),
+        mp4: Buffer.from('\0\0\0\x20ftypisom', 'latin1'),
+        quicktime: Buffer.from('\0\0\0\x08wide', 'latin1'),
+        webm: Buffer.from([0x1a, 0x45, 0xdf, 0xa3]),
+        svg: Buffer.from('\uFEFF<?xml version="1.0"?>\n<!-- logo -->\n<!DOCTYPE svg>\n<svg xmlns="http://www.w3.org/2000/svg"/>'),
+        null: Buffer.from('<html><svg></svg></html>')
+    };
+
+    for (const [type, bytes] of Object.entries(samples)) {
+        const filePath = path.join(dir, type);
+        await fs.promises.writeFile(filePath, bytes);
+        assert.equal(await sniffType(filePath), type === 'null' ? null : type, `sniffing ${type}`);
+    }
+});
+
+test('a file whose contents do not match its extension is refused', async (t) => {
+    const dir = await tempDir(t);
+    const disguised = await png(path.join(dir, 'photo.jpg'), 10, 10);
+    const script = path.join(dir, 'logo.png');
+    await fs.promises.writeFile(script, '#!/bin/sh\necho hi\n');
+
+    assert.deepEqual(await checkFile(uploadedFile(disguised), uploadKinds.image), {
+        status: 415,
+        code: 'type_mismatch',
+        error: 'photo.jpg has a .jpg extension but contains PNG data',
+        file: 'photo.jpg'
+    });
+    assert.match((await checkFile(uploadedFile(script), uploadKinds.image)).error, /contains unrecognized data/);
+    // A .png name is never accepted as audio
+    assert.equal((await checkFile(uploadedFile(script), uploadKinds.audio)).code, 'unsupported_type');
+});
+
+test('files over the size or pixel limit are refused', async (t) => {
+    const dir = await tempDir(t);
+    const small = await png(path.join(dir, 'small.png'), 100, 100);
+    const large = await png(path.join(dir, 'large.png'), 101, 100);
+
+    assert.equal(await checkFile(uploadedFile(small), uploadKinds.image), null);
+    assert.equal((await checkFile(uploadedFile(large), uploadKinds.image)).code, 'too_many_pixels');
+    assert.equal((await checkFile({ ...uploadedFile(small), size: 65 * 1024 }, uploadKinds.image)).code, 'file_too_large');
+    // The name comes from the multer-encoded original name
+    assert.equal((await checkFile(uploadedFile(large, 'größe.png'), uploadKinds.image)).file, 'größe.png');
+});
+
+test('a batch reports every refused file', async (t) => {
+    const dir = await tempDir(t);
+    const fine = await png(path.join(dir, 'fine.png'), 10, 10);
+    const large = await png(path.join(dir, 'large.png'), 200, 200);
+    const disguised = await png(path.join(dir, 'disguised.gif'), 10, 10);
+
+    const rejections = await checkFiles([fine, large, disguised].map(file => uploadedFile(file)), uploadKinds.image);
+    assert.deepEqual(rejections.map(({ code, file }) => [code, file]), [
+        ['too_many_pixels', 'large.png'],
+        ['type_mismatch', 'disguised.gif']
+    ]);
+});
+
+test('rejections are answered with the first one and the full list', () => {
+    const sent = {};
+    const res = {
+        status(status) { sent.status = status; return this; },
+        json(body) { sent.body = body; return this; }
+    };
+
+    sendRejection(res, rejection(400, 'invalid_options', 'Bad options'));
+    assert.deepEqual(sent, { status: 400, body: { error: 'Bad options', code: 'invalid_options', file: null } });
+
+    sendRejection(res, [rejection(413, 'file_too_large', 'a is large', 'a'), rejection(415, 'type_mismatch', 'b is odd', 'b')]);
+    assert.equal(sent.status, 413);
+    assert.deepEqual(sent.body.errors, [
+        { error: 'a is large', code: 'file_too_large', file: 'a' },
+        { error: 'b is odd', code: 'type_mismatch', file: 'b' }
+    ]);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validateVideoOptions, processVideo } = require('../lib/video');
+const { tempDir, uploadedFile, hasFfmpeg } = require('./helpers');
+
+const skip = hasFfmpeg ? false : 'the ffmpeg binary is not installed';
+
+test('video configs may only ask for known formats and codecs', () => {
+    assert.deepEqual(validateVideoOptions({}), { ok: true });
+    assert.deepEqual(validateVideoOptions({ formats: ['webm'], webmCodec: 'av1' }), { ok: true });
+
+    assert.equal(validateVideoOptions({ formats: ['mp4', 'mpg'] }).error, 'Unknown video format: mpg (use mp4 or webm)');
+    assert.match(validateVideoOptions({ formats: [] }).error, /non-empty list/);
+    assert.match(validateVideoOptions({ formats: 'mp4' }).error, /non-empty list/);
+    assert.equal(validateVideoOptions({ webmCodec: 'h265' }).error, 'Unknown WebM codec: h265 (use vp9 or av1)');
+    assert.match(validateVideoOptions({ webmCodec: 'toString' }).error, /Unknown WebM codec/);
+});
+
+test('an unknown format fails before anything is encoded', async (t) => {
+    const dir = await tempDir(t);
+    const file = { path: path.join(dir, 'missing.mp4'), originalname: 'clip.mp4', size: 0 };
+
+    await assert.rejects(processVideo(file, { formats: ['mov'] }, { outputDir: dir, publicPath: '/processed/test' }), /Unknown video format: mov/);
+    assert.deepEqual(await fs.promises.readdir(dir), []);
+});
+
+test('only the requested formats are encoded, plus the poster', { skip }, async (t) => {
+    const { ffmpeg, runCommand } = require('../lib/ffmpeg');
+    const dir = await tempDir(t);
+    const input = path.join(dir, 'source.mkv');
+    await runCommand(ffmpeg('testsrc=size=161x120:rate=10:duration=1').inputFormat('lavfi').videoCodec('ffv1').output(input));
+
+    const result = await processVideo(uploadedFile(input, 'clip.mkv'), { formats: ['mp4', 'mp4'], audio: false }, {
+        outputDir: dir,
+        publicPath: '/processed/test'
+    });
+
+    assert.equal(result.mp4, '/processed/test/clip.mp4');
+    assert.equal(result.webm, undefined);
+    // Odd widths are evened out for yuv420p
+    assert.deepEqual([result.width, result.height], [160, 120]);
+    assert.deepEqual((await fs.promises.readdir(dir)).sort(), ['clip-poster.avif', 'clip-poster.webp', 'clip.mp4', 'source.mkv']);
+});
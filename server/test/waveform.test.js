@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { computePeaks } = require('../lib/waveform');
+const { tempDir, sineWav, uploadedFile, hasFfmpeg } = require('./helpers');
+
+const skip = hasFfmpeg ? false : 'the ffmpeg binary is not installed';
+
+test('peaks come as 8-bit min/max pairs with the peak level and clipping', () => {
+    // Half scale for the first half, then clipped at full scale
+    const samples = Int16Array.from({ length: 4000 }, (_, i) => {
+        const level = i < 2000 ? 16384 : 32767;
+        return i % 2 === 0 ? level : -level - (i < 2000 ? 0 : 1);
+    });
+    const { peaks, levels } = computePeaks(samples);
+
+    assert.deepEqual([peaks.version, peaks.channels, peaks.bits, peaks.sample_rate], [2, 1, 8, 22050]);
+    assert.deepEqual([peaks.samples_per_pixel, peaks.length, peaks.data.length], [4, 1000, 2000]);
+    assert.deepEqual(peaks.data.slice(0, 2), [-64, 64]);
+    assert.deepEqual(peaks.data.slice(-2), [-128, 127]);
+    assert.equal(levels.clippedSamples, 2000);
+    assert.equal(levels.peakDb, 0);
+
+    assert.deepEqual(computePeaks(new Int16Array(10)).levels, { peakDb: null, clippedSamples: 0 });
+    assert.equal(computePeaks(new Int16Array(10)).peaks.samples_per_pixel, 1);
+});
+
+test('audio results link waveforms and spectrograms of the source and the output', { skip }, async (t) => {
+    const { processAudio } = require('../lib/audio');
+    const dir = await tempDir(t);
+    const input = path.join(dir, 'tone.wav');
+    await fs.promises.writeFile(input, sineWav({ seconds: 2, amplitude: 0.5 }));
+
+    const result = await processAudio(uploadedFile(input), { formats: ['ogg', 'mp3'], channels: 'mono' }, { outputDir: dir, publicPath: '/processed/test' });
+
+    assert.deepEqual(result.waveform, { source: '/processed/test/tone-source.peaks.json', output: '/processed/test/tone.peaks.json' });
+    assert.deepEqual(result.spectrogram, { source: '/processed/test/tone-source-spectrogram.webp', output: '/processed/test/tone-spectrogram.webp' });
+    assert.ok(Math.abs(result.levels.source.peakDb - -6.02) < 0.1, `source peak ${result.levels.source.peakDb} dBFS`);
+    assert.equal(result.levels.source.clippedSamples, 0);
+    assert.ok(Math.abs(result.levels.output.peakDb - -6.02) < 1, `output peak ${result.levels.output.peakDb} dBFS`);
+
+    const peaks = JSON.parse(await fs.promises.readFile(path.join(dir, 'tone.peaks.json'), 'utf8'));
+    // About one pair per pixel of a 1000px player, never more
+    assert.ok(peaks.length > 900 && peaks.length <= 1000, `${peaks.length} pairs`);
+    assert.equal(peaks.data.length, peaks.length * 2);
+    const spectrogram = await sharp(path.join(dir, 'tone-spectrogram.webp')).metadata();
+    assert.deepEqual([spectrogram.format, spectrogram.width, spectrogram.height], ['webp', 800, 240]);
+});